@@ -5,6 +5,7 @@
 // Required Node packages
 const minimist = require('minimist')
 const root = require('root')
+const fs = require('fs')
 const path = require('path')
 const url = require('url')
 const assert = require('assert')
@@ -30,18 +31,83 @@ const VALID_INNING_NUMBER = [ '', '1', '2', '3', '4', '5', '6', '7', '8', '9', '
 const VALID_SCORES = [ 'Hide', 'Show' ]
 const VALID_RESOLUTIONS = [ 'adaptive', '720p60', '540p', '360p', '216p' ]
 const DEFAULT_MULTIVIEW_RESOLUTION = '540p'
+// The default multiview session is encoded into the main multiview folder, named sessions into their own folders within it
+const DEFAULT_MULTIVIEW_SESSION = 'default'
+const DEFAULT_MULTIVIEW_MAX_SESSIONS = 2
+// Multiview layouts (first is default), with the most streams each can show and its video bitrate in kbps (total, or per tile)
+const MULTIVIEW_LAYOUTS = {
+  'grid': { max_streams: 9, tile_bitrate: 1040 },
+  '2x1': { max_streams: 2, tile_bitrate: 1040 },
+  '1+3': { max_streams: 4, bitrate: 4160 },
+  'pip': { max_streams: 4, bitrate: 5200 },
+  '3x3': { max_streams: 9, bitrate: 6240 }
+}
+const VALID_MULTIVIEW_LAYOUTS = Object.keys(MULTIVIEW_LAYOUTS)
+const MULTIVIEW_MAX_STREAMS = 9
+// Multiview watchdog: how often to check sessions, default seconds without encoding progress or new segments before restarting,
+// delays between consecutive restarts, how many to try, how long a session must run before it is considered recovered, and how many restarts to remember
+const MULTIVIEW_WATCHDOG_SECONDS = 10
+const DEFAULT_MULTIVIEW_STALL_SECONDS = 30
+const MULTIVIEW_RESTART_BACKOFF_SECONDS = [ 5, 15, 30, 60, 120 ]
+const MULTIVIEW_MAX_RESTARTS = 10
+const MULTIVIEW_RECOVERED_SECONDS = 300
+const MULTIVIEW_RESTART_HISTORY_LENGTH = 20
+// Default minutes with no requests for a multiview session's files before it is stopped
+const DEFAULT_MULTIVIEW_IDLE_MINUTES = 10
+// Seconds to wait for a multiview preset's stream to be ready, when it is started by playing its channel
+const MULTIVIEW_PRESET_WAIT_SECONDS = 30
+// How often to check the games in multiview sessions, for featured game switching and score labels
+const MULTIVIEW_GAMES_CHECK_SECONDS = 20
+// Multiview featured game switching: how many points better than the current featured game another game must score,
+// for how many consecutive checks, and the minimum seconds between switches
+const MULTIVIEW_FEATURED_SCORE_MARGIN = 2
+const MULTIVIEW_FEATURED_CHECKS = 2
+const MULTIVIEW_FEATURED_MIN_SECONDS = 60
+// Multiview tile labels: positions (first is default), default font size (for a 540p tile), and default seconds to delay scores so they don't get ahead of the video
+const VALID_MULTIVIEW_LABEL_POSITIONS = [ 'top-left', 'top-right', 'bottom-left', 'bottom-right' ]
+const DEFAULT_MULTIVIEW_LABEL_SIZE = 24
+const DEFAULT_MULTIVIEW_SCORE_DELAY = 60
+// H.264 encoders to try when detecting encoders (in order of preference if equally fast), with the output options each needs for multiview
+// (h264_v4l2m2m options per https://www.willusher.io/general/2020/11/15/hw-accel-encoding-rpi4)
+const H264_ENCODERS = {
+  'h264_videotoolbox': [],
+  'h264_nvenc': [ [ '-preset:v', 'p1' ] ],
+  'h264_qsv': [ [ '-preset:v', 'veryfast' ] ],
+  'h264_amf': [ [ '-quality', 'speed' ] ],
+  'h264_v4l2m2m': [ [ '-num_output_buffers', '32' ], [ '-num_capture_buffers', '16' ] ],
+  'h264_omx': [],
+  'h264_mf': [],
+  'libx264': [ [ '-preset:v', 'superfast' ] ]
+}
+// Seconds of test pattern video to encode when benchmarking each encoder
+const ENCODER_BENCHMARK_SECONDS = 10
 // Corresponding andwidths to display for above resolutions
 const DISPLAY_BANDWIDTHS = [ '', '5165k', '3219k', '1496k', '654k' ]
 const VALID_FORCE_VOD = [ 'off', 'on' ]
-const VALID_SKIP = [ 'off', 'breaks', 'idle time', 'pitches' ]
+const VALID_SKIP = [ 'off', 'breaks', 'idle time', 'pitches', 'scoring plays', 'key moments' ]
+const DEFAULT_SKIP_PROFILE = 'default'
 const DEFAULT_SKIP_ADJUST = 0
 const VALID_PAD = [ 'off', 'on' ]
 const VALID_SCAN_MODES = [ 'off', 'on' ]
+const VALID_SPOILER_FREE = [ 'off', 'on' ]
 
 const SAMPLE_STREAM_URL = 'https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8'
 
 const SECONDS_PER_SEGMENT = 4
 
+// How often to check for scheduled games to record, and how long before game time to start checking
+const RECORDING_CHECK_SECONDS = 60
+const RECORDING_EARLY_MINUTES = 30
+const DEFAULT_RECORDING_RESOLUTION = '720p60'
+
+// How often to save download progress, and how far past the game's length (or how long, if unknown) a download may run
+const DOWNLOAD_SAVE_SECONDS = 30
+const DOWNLOAD_PAD_MINUTES = 60
+const DOWNLOAD_MAX_HOURS = 8
+
+// How often to check whether the login tokens need to be renewed in the background
+const TOKEN_REFRESH_CHECK_SECONDS = 60
+
 const AFFILIATES = { 'Angels': '401,559,561,460', 'Astros': '3712,573,482,5434', 'Athletics': '237,400,524,499', 'Blue Jays': '422,424,435,463', 'Braves': '430,431,432,478', 'Brewers': '249,556,572,5015', 'Cardinals': '235,279,440,443', 'Cubs': '521,553,451,550', 'D-backs': '2310,419,516,5368', 'Dodgers': '238,260,526,456', 'Giants': '3410,105,461,476', 'Guardians': '402,437,445,481', 'Mariners': '403,515,529,574', 'Marlins': '4124,564,554,479', 'Mets': '552,453,505,507', 'Nationals': '436,426,534,547', 'Orioles': '418,568,488,548', 'Padres': '103,584,510,4904', 'Phillies': '1410,427,522,566', 'Pirates': '3390,452,477,484', 'Rangers': '102,540,448,485', 'Rays': '233,234,421,2498', 'Red Sox': '414,428,533,546', 'Reds': '416,450,459,498', 'Rockies': '259,342,538,486', 'Royals': '3705,1350,541,565', 'Tigers': '106,570,582,512', 'Twins': '3898,492,509,1960', 'White Sox': '247,580,487,494', 'Yankees': '531,587,1956,537' }
 
 // Process command line arguments, if specified:
@@ -55,14 +121,36 @@ const AFFILIATES = { 'Angels': '401,559,561,460', 'Astros': '3712,573,482,5434',
 // Advanced command line arguments:
 // --account_username (email address, default will use stored credentials or prompt user to enter them)
 // --account_password (default will use stored credentials or prompt user to enter them)
+// --add_account (name of another account to spread streams across, using --account_username and --account_password for it or prompting for them)
+// --remove_account (name of an account added with --add_account to remove)
+// --key_file (file containing the key to encrypt stored credentials, tokens, and the content protection key; default uses the MILBSERVER_KEY environment variable if set, or else a key based on the OS user)
+// --rotate_key (re-encrypts the stored files with a new key from the specified key file, generating a random key in it if it doesn't exist, or from the MILBSERVER_NEW_KEY environment variable, then exits)
 // --multiview_port (port for multiview streaming; defaults to 1 more than primary port, or 9991)
 // --multiview_path (where to create the folder for multiview encoded files; defaults to app directory)
 // --ffmpeg_path (path to ffmpeg binary to use for multiview encoding; default downloads a binary using ffmpeg-static)
 // --ffmpeg_encoder (ffmpeg video encoder to use for multiview; default is the software encoder libx264)
 // --ffmpeg_logging (if present, logs all ffmpeg output -- useful for experimenting or troubleshooting)
+// --multiview_max_sessions (maximum number of multiview sessions to encode at once; defaults to 2)
+// --multiview_fontfile (font file for multiview tile labels; default uses the default font of ffmpeg's fontconfig)
+// --multiview_stall_seconds (seconds without encoding progress or new segments before a multiview session is restarted automatically; defaults to 30, 0 disables it)
+// --multiview_idle_minutes (minutes without any requests for a multiview session's stream before it is stopped automatically; defaults to 10, 0 disables it)
 // --page_username (username to protect pages; default is no protection)
 // --page_password (password to protect pages; default is no protection)
 // --content_protect (specify the content protection key to include as a URL parameter, if page protection is enabled)
+// --request_retries (how many times to retry upstream requests which fail in a way that might be temporary, like timeouts and server errors; defaults to 2)
+// --request_retry_delay (seconds to wait before the first retry of an upstream request, doubling for each retry after that; defaults to 1)
+// --segment_cache_size (size limit in megabytes for the disk cache of archive video segments; defaults to 1024, 0 disables it)
+// --recordings_path (where to create the folder for recorded games; defaults to app directory)
+// --recordings_max_size (gigabytes of recordings to keep before deleting the oldest; default is no limit)
+// --recordings_max_days (days to keep recordings before deleting them; default is no limit)
+// --downloads_path (where to create the folder for downloaded MP4 files; defaults to app directory)
+// --spoiler_free (if present, hides scores, final status text, no-hitter flags, result-revealing innings, and stream lengths everywhere, unless a request includes spoiler_free=off)
+// --detect_encoders (if present, benchmarks the H.264 encoders available to ffmpeg for multiview, reports their speed, then exits)
+// --save_encoder (with --detect_encoders, saves the fastest working encoder and its options to use for multiview when --ffmpeg_encoder isn't specified)
+// --record (saves every upstream API exchange to a fixtures directory, by default "fixtures" in the app directory, or the one specified)
+// --replay (answers upstream API requests from the exchanges saved by --record instead of the network, from the same directory)
+// --replay_fallback (with --replay, answers a request that wasn't recorded exactly with the latest one recorded for the same path, like a schedule for another date)
+// --download (gamePk of an archive game to download as an MP4 file, then exit; accepts --resolution, --skip, --inning_half, --inning_number, --skip_adjust, and --skip_profile like stream.m3u8)
 var argv = minimist(process.argv, {
   alias: {
     p: 'port',
@@ -72,8 +160,8 @@ var argv = minimist(process.argv, {
     c: 'cache',
     v: 'version'
   },
-  boolean: ['ffmpeg_logging', 'debug', 'logout', 'session', 'cache', 'version'],
-  string: ['port', 'account_username', 'account_password', 'multiview_port', 'multiview_path', 'ffmpeg_path', 'ffmpeg_encoder', 'page_username', 'page_password', 'content_protect']
+  boolean: ['ffmpeg_logging', 'debug', 'logout', 'session', 'cache', 'version', 'spoiler_free', 'detect_encoders', 'save_encoder', 'replay_fallback'],
+  string: ['port', 'account_username', 'account_password', 'multiview_port', 'multiview_path', 'ffmpeg_path', 'ffmpeg_encoder', 'multiview_max_sessions', 'multiview_fontfile', 'multiview_stall_seconds', 'multiview_idle_minutes', 'page_username', 'page_password', 'content_protect', 'request_retries', 'request_retry_delay', 'segment_cache_size', 'recordings_path', 'recordings_max_size', 'recordings_max_days', 'downloads_path', 'download', 'resolution', 'skip', 'inning_half', 'inning_number', 'skip_adjust', 'skip_profile', 'record', 'replay', 'add_account', 'remove_account', 'key_file', 'rotate_key']
 })
 
 // Version
@@ -84,6 +172,13 @@ if (argv.version) return
 // Declare a session, pass arguments to it
 var session = new sessionClass(argv)
 
+// Rotate the encryption key, then exit
+if (typeof argv.rotate_key !== 'undefined') {
+  session.log('Rotating encryption key...')
+  session.rotate_key(argv.rotate_key)
+  return
+}
+
 // Clear cache (cache data, not images)
 if (argv.cache) {
   session.log('Clearing cache...')
@@ -108,13 +203,25 @@ if (argv.logout) {
   session = new sessionClass(argv)
 }
 
+// Add or remove another account
+if (argv.add_account) {
+  session.log('Adding account ' + argv.add_account + '...')
+  session.add_account(argv.add_account, argv.account_username, argv.account_password)
+}
+if (argv.remove_account) {
+  session.log('Removing account ' + argv.remove_account + '...')
+  session.remove_account(argv.remove_account)
+}
+
 // Set FFMPEG path, download if necessary
 const pathToFfmpeg = argv.ffmpeg_path || require('ffmpeg-static')
 ffmpeg.setFfmpegPath(pathToFfmpeg)
 
-// Set FFMPEG encoder, use libx264 if not specified
+// Set FFMPEG encoder: the specified one, or the one saved by encoder detection, or libx264
 const defaultEncoder = 'libx264'
-const ffmpegEncoder = argv.ffmpeg_encoder || defaultEncoder
+var ffmpegEncoder = argv.ffmpeg_encoder || session.data.ffmpegEncoder || defaultEncoder
+// Encoder detection in progress, so concurrent requests can share it
+var encoder_detection = null
 
 // Declare web server
 var app = root()
@@ -128,8 +235,21 @@ var multiview_stream_name = 'master.m3u8'
 var multiview_url_path = '/' + hls_base + '/' + multiview_stream_name
 if ( session.protection.content_protect ) multiview_url_path += '?content_protect=' + session.protection.content_protect
 session.setMultiviewStreamURLPath(multiview_url_path)
-var ffmpeg_command
-var ffmpeg_status = false
+// Multiview sessions by name, with their ffmpeg commands and the options they were started with
+var multiview_sessions = {}
+var multiview_max_sessions = parseInt(argv.multiview_max_sessions) || DEFAULT_MULTIVIEW_MAX_SESSIONS
+var multiview_stall_seconds = DEFAULT_MULTIVIEW_STALL_SECONDS
+if ( argv.multiview_stall_seconds !== undefined ) multiview_stall_seconds = parseInt(argv.multiview_stall_seconds) || 0
+var multiview_idle_minutes = DEFAULT_MULTIVIEW_IDLE_MINUTES
+if ( argv.multiview_idle_minutes !== undefined ) multiview_idle_minutes = parseInt(argv.multiview_idle_minutes) || 0
+
+// Recording ffmpeg commands in progress, by gamePk
+var recording_commands = {}
+// Remux commands for recordings being processed, by gamePk
+var remux_commands = {}
+
+// Download jobs in progress, by file name
+var download_jobs = {}
 
 // Start web server listening on port
 // and also multiview server on its port (next one if not defined otherwise)
@@ -141,9 +261,73 @@ app.listen(port, function(addr) {
   session.debuglog('multiview port ' + multiview_port)
   session.debuglog('multiview server started at http://' + addr.replace(':' + port, ':' + multiview_port) + multiview_url_path)
   if (ffmpegEncoder == defaultEncoder) {
-    session.debuglog('warning: multiview is set to use software encoding -- see the readme for how to configure hardware encoding (to reduce multiview CPU usage and improve multiview performance)')
+    session.debuglog('warning: multiview is set to use software encoding -- see the readme for how to detect or configure hardware encoding (to reduce multiview CPU usage and improve multiview performance)')
   }
   session.clear_multiview_files()
+  session.clear_multiview_session_directories()
+  if ( (multiview_stall_seconds > 0) || (multiview_idle_minutes > 0) ) {
+    setInterval(check_multiview_sessions, MULTIVIEW_WATCHDOG_SECONDS * 1000)
+  }
+  setInterval(check_multiview_games, MULTIVIEW_GAMES_CHECK_SECONDS * 1000)
+
+  // Command line download: download the requested game, then exit
+  if ( argv.download ) {
+    if ( !is_valid_gamePk(argv.download) ) {
+      session.halt('invalid download gamePk : ' + argv.download)
+    }
+    let download_options = get_download_options({ gamePk: argv.download, resolution: argv.resolution, skip: argv.skip, inning_half: argv.inning_half, inning_number: argv.inning_number, skip_adjust: argv.skip_adjust, skip_profile: argv.skip_profile })
+    get_download_game(download_options.gamePk).then(function(game) {
+      if ( !game ) {
+        session.halt('download failed : game ' + download_options.gamePk + ' is not an archive game')
+      }
+      start_download(download_options, game, function(err, file) {
+        if ( err ) {
+          session.halt('download failed : ' + err.message)
+        }
+        session.log('download saved to ' + file)
+        process.exit(0)
+      })
+    }).catch(function(e) {
+      session.halt('download failed : ' + e.message)
+    })
+    return
+  }
+
+  // Command line encoder detection: benchmark the available encoders, report them (and save the fastest, if requested), then exit
+  if ( argv.detect_encoders ) {
+    detect_encoders(argv.save_encoder).then(function(detection) {
+      for (var i = 0; i < detection.results.length; i++) {
+        let result = detection.results[i]
+        session.log(result.encoder + ' : ' + (result.working ? (result.fps + ' fps') : ('not working (' + result.error + ')')))
+      }
+      if ( !detection.recommended ) {
+        session.halt('no working H.264 encoders found')
+      }
+      session.log('recommended encoder : ' + detection.recommended)
+      if ( detection.saved ) {
+        session.log('saved ' + detection.recommended + ' as the multiview encoder (--ffmpeg_encoder still overrides it)')
+      } else if ( detection.recommended != ffmpegEncoder ) {
+        session.log('use --ffmpeg_encoder ' + detection.recommended + ' or --detect_encoders --save_encoder to use it for multiview')
+      }
+      process.exit(0)
+    }).catch(function(e) {
+      session.halt('encoder detection failed : ' + e.message)
+    })
+    return
+  }
+
+  // Save whatever was recorded before a restart, then start checking for scheduled games to record
+  let interrupted = session.markInterruptedRecordings()
+  for (var i = 0; i < interrupted.length; i++) {
+    finish_recording(interrupted[i])
+  }
+  check_recordings()
+  setInterval(check_recordings, RECORDING_CHECK_SECONDS * 1000)
+
+  // Renew login tokens before they expire, instead of when the next stream is requested
+  setInterval(function() {
+    session.refreshTokens()
+  }, TOKEN_REFRESH_CHECK_SECONDS * 1000)
 })
 var multiview_app = http.createServer()
 var hls = new HLSServer(multiview_app, {
@@ -155,6 +339,17 @@ function corsMiddleware (req, res, next) {
     next()
 }
 httpAttach(multiview_app, corsMiddleware)
+// Track the last request for each multiview session's stream, so sessions no one is watching can be stopped
+function multiviewActivityMiddleware (req, res, next) {
+  // /multiview/<file> for the default session, /multiview/<session>/<file> for named sessions
+  let url_path = req.url.split('?')[0].split('/')
+  if ( url_path[1] == hls_base ) {
+    let name = (url_path.length > 3) ? url_path[2] : DEFAULT_MULTIVIEW_SESSION
+    if ( multiview_sessions[name] ) multiview_sessions[name].last_request = Date.now()
+  }
+  next()
+}
+httpAttach(multiview_app, multiviewActivityMiddleware)
 multiview_app.listen(multiview_port)
 
 // Listen for stream requests
@@ -185,7 +380,10 @@ app.get('/stream.m3u8', async function(req, res) {
       options.inning_half = req.query.inning_half || VALID_INNING_HALF[0]
       options.inning_number = req.query.inning_number || VALID_INNING_NUMBER[0]
       options.skip = req.query.skip || VALID_SKIP[0]
-      options.pad = req.query.pad || VALID_PAD[0]
+      options.skip_profile = req.query.skip_profile || DEFAULT_SKIP_PROFILE
+      options.player = parseInt(req.query.player) || false
+      options.pad = req.query.pad || (is_spoiler_free(req) ? VALID_PAD[1] : VALID_PAD[0])
+      if ( VALID_SPOILER_FREE.includes(req.query.spoiler_free) ) options.spoiler_free = req.query.spoiler_free
       if ( options.pad != VALID_PAD[0] ) {
         // if pad is selected, pick a random number of times to repeat the last segment (between 1-3 hours)
         options.pad = Math.floor(Math.random() * (7200 / SECONDS_PER_SEGMENT)) + (3600 / SECONDS_PER_SEGMENT)
@@ -202,27 +400,33 @@ app.get('/stream.m3u8', async function(req, res) {
 
         if ( !gamePk ) {
           session.log('failed to get gamePk : ' + req.url)
-          res.end('')
-        } else {
-          session.debuglog('gamePk : ' + gamePk)
-          streamURL = await session.getStreamURL(gamePk)
+          res.writeHead(404, {'Content-Type': 'text/plain'})
+          return res.end('game not found')
         }
+        session.debuglog('gamePk : ' + gamePk)
+        streamURL = await session.getStreamURL(gamePk)
       }
     }
 
     if (streamURL) {
       session.debuglog('using streamURL : ' + streamURL)
 
-      if ( (options.inning_half != VALID_INNING_HALF[0]) || (options.inning_number != VALID_INNING_NUMBER[0]) || (options.skip != VALID_SKIP[0]) ) {
-        if ( gamePk ) {
-          options.gamePk = gamePk
-
-          let skip_adjust = parseInt(req.query.skip_adjust) || DEFAULT_SKIP_ADJUST
+      if ( gamePk ) {
+        options.gamePk = gamePk
 
-          let skip_type = VALID_SKIP.indexOf(options.skip)
+        let skip_adjust = parseInt(req.query.skip_adjust) || DEFAULT_SKIP_ADJUST
 
-          if ( await session.getBroadcastStart(streamURL, gamePk) ) {
-            await session.getSkipMarkers(gamePk, skip_type, options.inning_number, options.inning_half, skip_adjust)
+        if ( stream_needs_skip_markers(options) ) {
+          await get_stream_markers(gamePk, streamURL, options, skip_adjust)
+        } else {
+          // chapters are only added for archive games, and shouldn't stop the stream from playing
+          try {
+            let cache_data = await session.getGamedayData(gamePk)
+            if ( cache_data && cache_data.gameData && cache_data.gameData.status && (cache_data.gameData.status.abstractGameState == 'Final') ) {
+              await get_stream_markers(gamePk, streamURL, options, skip_adjust)
+            }
+          } catch (e) {
+            session.log('stream chapters error : ' + e.message)
           }
         }
       }
@@ -235,14 +439,44 @@ app.get('/stream.m3u8', async function(req, res) {
       getMasterPlaylist(streamURL, req, res, options)
     } else {
       session.log('failed to get streamURL : ' + req.url)
-      res.end('')
+      res.writeHead(404, {'Content-Type': 'text/plain'})
+      res.end('stream not available')
     }
   } catch (e) {
     session.log('stream request error : ' + e.message)
-    res.end('')
+    respond_error(res, e)
   }
 })
 
+// Get inning markers (for chapters) and skip markers (if skip, inning, or player options are specified) into the temporary cache
+async function get_stream_markers(gamePk, streamURL, options, skip_adjust) {
+  if ( await session.getBroadcastStart(streamURL, gamePk) ) {
+    await session.getInningMarkers(gamePk, skip_adjust)
+
+    if ( stream_needs_skip_markers(options) ) {
+      let skip_type = VALID_SKIP.indexOf(options.skip)
+      await session.getSkipMarkers(gamePk, skip_type, options.inning_number, options.inning_half, skip_adjust, options.skip_profile, options.player)
+      return true
+    }
+  }
+  return false
+}
+
+// Whether stream options skip or start at any part of the game
+function stream_needs_skip_markers(options) {
+  return (options.inning_half != VALID_INNING_HALF[0]) || (options.inning_number != VALID_INNING_NUMBER[0]) || (options.skip != VALID_SKIP[0]) || !!options.player
+}
+
+// Get markers for a game outside of a stream request, only looking up the stream URL if the broadcast start isn't cached
+async function get_game_markers(gamePk, options, skip_adjust) {
+  let streamURL
+  if ( !session.hasBroadcastStart(gamePk) ) {
+    streamURL = await session.getStreamURL(gamePk)
+    if ( !streamURL ) return false
+  }
+  return get_stream_markers(gamePk, streamURL, options, skip_adjust)
+}
+
 // Store previous keys, for return without decoding
 var prevKeys = {}
 var getKey = function(url, headers, cb) {
@@ -266,28 +500,106 @@ function getOriginFromURL(url) {
 }
 
 // Default respond function, for adjusting content-length and updating CORS headers
-var respond = function(proxy, res, body) {
+// (and serving a byte range of the body, if the request included a Range header)
+var respond = function(proxy, res, body, req) {
   delete proxy.headers['content-length']
   delete proxy.headers['transfer-encoding']
   delete proxy.headers['content-md5']
   delete proxy.headers['connection']
   delete proxy.headers['access-control-allow-credentials']
 
-  proxy.headers['content-length'] = body.length
   proxy.headers['access-control-allow-origin'] = '*'
 
+  if ( req && req.headers.range && (proxy.statusCode == 200) ) {
+    proxy.headers['accept-ranges'] = 'bytes'
+    let parsed = req.headers.range.match(/^bytes=(\d*)-(\d*)$/)
+    if ( parsed && (parsed[1] || parsed[2]) ) {
+      let start = parseInt(parsed[1])
+      let end = body.length - 1
+      if ( parsed[1] == '' ) {
+        // suffix range, the last n bytes
+        start = Math.max(body.length - parseInt(parsed[2]), 0)
+      } else if ( parsed[2] != '' ) {
+        end = Math.min(parseInt(parsed[2]), end)
+      }
+      if ( start > end ) {
+        proxy.headers['content-range'] = 'bytes */' + body.length
+        res.writeHead(416, proxy.headers)
+        return res.end()
+      }
+      session.debuglog('responding with range ' + start + '-' + end + ' of ' + body.length)
+      proxy.statusCode = 206
+      proxy.headers['content-range'] = 'bytes ' + start + '-' + end + '/' + body.length
+      body = body.subarray(start, end + 1)
+    }
+  }
+
+  proxy.headers['content-length'] = body.length
+
   res.writeHead(proxy.statusCode, proxy.headers)
   res.end(body)
 }
 
-// Retry request function, up to 2 times
+// Streaming respond function, pipes the upstream response (through a decipher, if provided) to the client
+// and calls back with the complete body once it has been sent, if a callback is provided
+var respondStream = function(upstream, proxy, res, decipher, cb) {
+  delete proxy.headers['transfer-encoding']
+  delete proxy.headers['content-md5']
+  delete proxy.headers['connection']
+  delete proxy.headers['access-control-allow-credentials']
+
+  proxy.headers['access-control-allow-origin'] = '*'
+
+  var source = upstream
+  if ( decipher && (proxy.statusCode == 200) ) {
+    // Decrypted length isn't known until the final block is unpadded, so the response will be chunked
+    delete proxy.headers['content-length']
+    proxy.headers['accept-ranges'] = 'bytes'
+    source = upstream.pipe(decipher)
+    decipher.on('error', function(err) {
+      session.log('segment decryption error : ' + err.message)
+      res.destroy()
+    })
+  }
+  upstream.on('error', function(err) {
+    session.log('upstream stream error : ' + err.message)
+    res.destroy()
+  })
+
+  // Cancel the upstream request if the client disconnects
+  res.on('close', function() {
+    if ( !res.writableFinished ) {
+      session.debuglog('client disconnected, cancelling upstream request')
+      upstream.abort()
+    }
+  })
+
+  if ( cb ) {
+    var chunks = []
+    source.on('data', function(chunk) {
+      chunks.push(chunk)
+    })
+    source.on('end', function() {
+      cb(Buffer.concat(chunks))
+    })
+  }
+
+  res.writeHead(proxy.statusCode, proxy.headers)
+  source.pipe(res)
+}
+
+// Retry request function, waiting longer before each retry, for errors which might be temporary
 var requestRetry = function(u, opts, cb) {
-  var tries = 2
+  var attempt = 0
   var action = function() {
-    session.streamVideo(u, opts, tries, function(err, res) {
+    session.streamVideo(u, opts, function(err, res) {
       if (err) {
-        if ( tries < 2 ) session.log('try ' + (3 - tries) + ' for ' + u)
-        if (tries-- > 0) return setTimeout(action, 1000)
+        if ( err.retryable && (attempt < session.request_retries) ) {
+          let delay = session.getRetryDelay(attempt++)
+          session.log('try ' + (attempt + 1) + ' for ' + u + ' in ' + delay + ' seconds (' + err.message + ')')
+          return setTimeout(action, delay * 1000)
+        }
+        session.log('request failed : ' + err.message + ' : ' + u)
         return cb(err)
       }
       cb(err, res)
@@ -297,6 +609,57 @@ var requestRetry = function(u, opts, cb) {
   action()
 }
 
+// Retry streaming request function, waiting longer before each retry, until a response is received
+var requestStreamRetry = function(u, opts, cb) {
+  var attempt = 0
+  var action = function() {
+    var upstream = session.streamVideoRequest(u, opts)
+    upstream.on('response', function(response) {
+      cb(null, upstream, response)
+    })
+    upstream.on('error', function(err) {
+      // errors after the response has started are handled by the pipe
+      if ( upstream.response ) return
+      err = session.getUpstreamError(err, u)
+      if ( err.retryable && (attempt < session.request_retries) ) {
+        let delay = session.getRetryDelay(attempt++)
+        session.log('try ' + (attempt + 1) + ' for ' + u + ' in ' + delay + ' seconds (' + err.message + ')')
+        return setTimeout(action, delay * 1000)
+      }
+      session.log('request failed : ' + err.message + ' : ' + u)
+      cb(err)
+    })
+  }
+
+  action()
+}
+
+// Respond to a failed request with the HTTP status and message for its error:
+// upstream errors have their own (like 404 for not found, or 504 for a timeout), anything else is an internal error
+// JSON endpoints get the message in a JSON object instead
+function respond_error(res, err, json = false) {
+  let status = 500
+  let message = 'internal error, check log'
+  if ( err instanceof sessionClass.UpstreamError ) {
+    status = err.status
+    message = err.reason
+  }
+  if ( res.headersSent ) return res.end()
+  if ( json ) {
+    res.writeHead(status, {'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*'})
+    return res.end(JSON.stringify({ success: false, error: message }))
+  }
+  res.writeHead(status, {'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*'})
+  res.end(message)
+}
+
+// Get the decryption key for a segment, either included directly (base64) or from a key URL
+var getSegmentKey = function(ku, headers, cb) {
+  if ( !ku ) return cb(null)
+  if ( ku.substr(0,4) != 'http' ) return cb(null, Buffer.from(ku, "base64"))
+  getKey(ku, headers, cb)
+}
+
 
 // Get the master playlist from the stream URL
 function getMasterPlaylist(streamURL, req, res, options = {}) {
@@ -312,8 +675,10 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
       session.debuglog('found stream referer  : ' + referer)
       referer_parameter = '&referer=' + encodeURIComponent(options.referer)
     }
+    // requests for a game use the cookies of the account serving it
+    if ( options.gamePk ) headers.gamePk = options.gamePk
     requestRetry(streamURL, headers, function(err, response) {
-      if (err) return res.error(err)
+      if (err) return respond_error(res, err)
 
       session.debuglog(response.body)
 
@@ -336,7 +701,8 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
       }
       if ( !hls_detected ) {
         session.log('not a valid hls stream')
-        return
+        res.writeHead(502, {'Content-Type': 'text/plain'})
+        return res.end('not a valid HLS stream')
       }
 
       let resolution = options.resolution || VALID_RESOLUTIONS[0]
@@ -345,7 +711,9 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
       let inning_half = options.inning_half || VALID_INNING_HALF[0]
       let inning_number = options.inning_number || VALID_INNING_NUMBER[0]
       let skip = options.skip || VALID_SKIP[0]
+      let player = options.player || false
       let pad = options.pad || VALID_PAD[0]
+      let spoiler_free = options.spoiler_free || false
       let gamePk = options.gamePk || false
 
       if ( (inning_number > 0) && (inning_half == VALID_INNING_HALF[0]) ) {
@@ -384,7 +752,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
           return line
         } else if ( segment_found ) {
           segment_found = false
-          return 'ts?url='+encodeURIComponent(url.resolve(streamURL, line.trim())) + content_protect + referer_parameter
+          return 'ts?url='+encodeURIComponent(url.resolve(streamURL, line.trim())) + (gamePk ? ('&gamePk=' + gamePk) : '') + content_protect + referer_parameter
         }
 
         // Omit subtitles
@@ -429,7 +797,9 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
               if ( inning_half != VALID_INNING_HALF[0] ) newurl += '&inning_half=' + inning_half
               if ( inning_number != VALID_INNING_NUMBER[0] ) newurl += '&inning_number=' + inning_number
               if ( skip != VALID_SKIP[0] ) newurl += '&skip=' + skip
+              if ( player ) newurl += '&player=' + player
               if ( pad != VALID_PAD[0] ) newurl += '&pad=' + pad
+              if ( spoiler_free ) newurl += '&spoiler_free=' + spoiler_free
               if ( gamePk ) newurl += '&gamePk=' + gamePk
               if ( force_vod != VALID_FORCE_VOD[0] ) newurl += '&force_vod=on'
               newurl += content_protect + referer_parameter
@@ -448,7 +818,9 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
           if ( inning_half != VALID_INNING_HALF[0] ) newurl += '&inning_half=' + inning_half
           if ( inning_number != VALID_INNING_NUMBER[0] ) newurl += '&inning_number=' + inning_number
           if ( skip != VALID_SKIP[0] ) newurl += '&skip=' + skip
+          if ( player ) newurl += '&player=' + player
           if ( pad != VALID_PAD[0] ) newurl += '&pad=' + pad
+          if ( spoiler_free ) newurl += '&spoiler_free=' + spoiler_free
           if ( gamePk ) newurl += '&gamePk=' + gamePk
           if ( force_vod != VALID_FORCE_VOD[0] ) newurl += '&force_vod=on'
           newurl += content_protect + referer_parameter
@@ -468,7 +840,7 @@ function getMasterPlaylist(streamURL, req, res, options = {}) {
   return req()
 
   requestRetry(streamURL, {}, function(err, res) {
-    if (err) return res.error(err)
+    if (err) return respond_error(res, err)
     req()
   })
 }
@@ -496,8 +868,10 @@ app.get('/playlist', async function(req, res) {
   var inning_half = req.query.inning_half || VALID_INNING_HALF[0]
   var inning_number = req.query.inning_number || VALID_INNING_NUMBER[0]
   var skip = req.query.skip || VALID_SKIP[0]
+  var player = req.query.player || false
   var pad = req.query.pad || VALID_PAD[0]
   var gamePk = req.query.gamePk || false
+  var spoiler_free = is_spoiler_free(req)
 
   var extension = 'ts'
   if (u.endsWith('_webVTT.m3u8') > 0) {
@@ -510,8 +884,9 @@ app.get('/playlist', async function(req, res) {
       headers.referer = referer
       headers.origin = getOriginFromURL(referer)
     }
+    if ( gamePk ) headers.gamePk = gamePk
     requestRetry(u, headers, function(err, response) {
-      if (err) return res.error(err)
+      if (err) return respond_error(res, err)
 
       //session.debuglog(response.body)
 
@@ -534,7 +909,8 @@ app.get('/playlist', async function(req, res) {
       }
       if ( !hls_detected ) {
         session.log('not a valid hls stream')
-        return
+        res.writeHead(502, {'Content-Type': 'text/plain'})
+        return res.end('not a valid HLS stream')
       }
 
       var key
@@ -550,7 +926,27 @@ app.get('/playlist', async function(req, res) {
         content_protect = '&content_protect=' + session.protection.content_protect
       }
 
-      if ( (gamePk) && ((inning_half != VALID_INNING_HALF[0]) || (inning_number != VALID_INNING_NUMBER[0]) || (skip != VALID_SKIP[0])) && (typeof session.temp_cache[gamePk] !== 'undefined') && (typeof session.temp_cache[gamePk].skip_markers !== 'undefined') ) {
+      // Segment and key requests for a game use the cookies of the account serving it
+      var gamePk_parameter = gamePk ? ('&gamePk=' + gamePk) : ''
+
+      // Archive playlists are complete, so their segments can be cached
+      var archive_parameter = ''
+      if ( (extension == 'ts') && (response.body.indexOf('#EXT-X-ENDLIST') >= 0) ) {
+        archive_parameter = '&archive=true'
+      }
+
+      // Inning chapters as date ranges, before the first segment (date ranges require program date times)
+      var chapter_lines = []
+      if ( gamePk && (extension == 'ts') && (response.body.indexOf('#EXT-X-PROGRAM-DATE-TIME:') >= 0) && (typeof session.temp_cache[gamePk] !== 'undefined') && session.temp_cache[gamePk].inning_markers ) {
+        let broadcast_start_timestamp = session.temp_cache[gamePk].broadcast_start_timestamp
+        for (const inning_marker of session.temp_cache[gamePk].inning_markers) {
+          if ( spoiler_free && inning_marker.reveals_result ) continue
+          let start_date = new Date(broadcast_start_timestamp.getTime() + (inning_marker.start * 1000))
+          chapter_lines.push('#EXT-X-DATERANGE:ID="inning-' + inning_marker.inning_half + '-' + inning_marker.inning + '",CLASS="com.milbserver.chapter",START-DATE="' + start_date.toISOString() + '",X-TITLE="' + inning_marker.title + '"')
+        }
+      }
+
+      if ( (gamePk) && ((inning_half != VALID_INNING_HALF[0]) || (inning_number != VALID_INNING_NUMBER[0]) || (skip != VALID_SKIP[0]) || player) && (typeof session.temp_cache[gamePk] !== 'undefined') && (typeof session.temp_cache[gamePk].skip_markers !== 'undefined') ) {
         session.debuglog('pulling skip markers from temporary cache')
         skip_markers = session.temp_cache[gamePk].skip_markers
       } else {
@@ -603,14 +999,21 @@ app.get('/playlist', async function(req, res) {
 
         if (line[0] === '#') return line
 
-        if ( key ) return extension + '?url='+encodeURIComponent(url.resolve(u, line.trim()))+'&key='+encodeURIComponent(key)+'&iv='+encodeURIComponent(iv) + content_protect + referer_parameter
-        else return extension + '?url='+encodeURIComponent(url.resolve(u, line.trim())) + content_protect + referer_parameter
+        if ( key ) return extension + '?url='+encodeURIComponent(url.resolve(u, line.trim()))+'&key='+encodeURIComponent(key)+'&iv='+encodeURIComponent(iv) + gamePk_parameter + archive_parameter + content_protect + referer_parameter
+        else return extension + '?url='+encodeURIComponent(url.resolve(u, line.trim())) + gamePk_parameter + archive_parameter + content_protect + referer_parameter
       })
       .filter(function(line) {
         return line
       })
       .join('\n')+'\n'
 
+      if ( chapter_lines.length > 0 ) {
+        let first_segment_index = body.search(/^(#EXTINF:|#EXT-X-DISCONTINUITY)/m)
+        if ( first_segment_index >= 0 ) {
+          body = body.substring(0, first_segment_index) + chapter_lines.join('\n') + '\n' + body.substring(first_segment_index)
+        }
+      }
+
       if ( pad != VALID_PAD[0] ) {
         let body_array = body.trim().split('\n')
         let last_segment_index = body_array.length-1
@@ -639,7 +1042,7 @@ app.get('/playlist', async function(req, res) {
   return req()
 
   requestRetry(u, {}, function(err, res) {
-    if (err) return res.error(err)
+    if (err) return respond_error(res, err)
     req()
   })
 })
@@ -663,36 +1066,59 @@ app.get('/ts', async function(req, res) {
     headers.referer = referer
     headers.origin = getOriginFromURL(referer)
   }
+  if ( req.query.gamePk ) headers.gamePk = req.query.gamePk
+
+  // Archive segments may already be decrypted in the disk cache
+  var archive = (req.query.archive == 'true')
+  if ( archive ) {
+    let cached_segment = session.getCachedSegment(u)
+    if ( cached_segment ) return respond({statusCode: 200, headers: {'content-type': 'video/mp2t'}}, res, cached_segment, req)
+  }
 
-  requestRetry(u, headers, function(err, response) {
-    if (err) return res.error(err)
-    if (!req.query.key) return respond(response, res, response.body)
+  getSegmentKey(req.query.key, headers, function(err, key) {
+    if (err) return respond_error(res, err)
 
-    //var ku = url.resolve(manifest, req.query.key)
-    var ku = req.query.key
-    if ( ku.substr(0,4) != 'http' ) {
+    var decipher
+    if ( key ) {
       var iv = Buffer.from(req.query.iv, 'hex')
       session.debuglog('iv : 0x'+req.query.iv)
+      decipher = crypto.createDecipheriv('aes-128-cbc', key, iv)
+    }
 
-      let key = Buffer.from(ku, "base64")
-
-      var dc = crypto.createDecipheriv('aes-128-cbc', key, iv)
-      var buffer = Buffer.concat([dc.update(response.body), dc.final()])
+    // A byte range of a decrypted segment can't be requested upstream, so decrypt the whole segment first
+    if ( decipher && req.headers.range ) {
+      return requestRetry(u, headers, function(err, response) {
+        if (err) return respond_error(res, err)
+        if ( response.statusCode != 200 ) return respond(response, res, response.body)
 
-      respond(response, res, buffer)
-    } else {
-      getKey(ku, headers, function(err, key) {
-        if (err) return res.error(err)
+        var buffer = Buffer.concat([decipher.update(response.body), decipher.final()])
+        if ( archive ) session.cacheSegment(u, buffer)
+        respond(response, res, buffer, req)
+      })
+    }
 
-        var iv = Buffer.from(req.query.iv, 'hex')
-        session.debuglog('iv : 0x'+req.query.iv)
+    var stream_headers = {}
+    if ( headers.referer ) {
+      stream_headers.referer = headers.referer
+      stream_headers.origin = headers.origin
+    }
+    if ( headers.gamePk ) stream_headers.gamePk = headers.gamePk
+    if ( !decipher && req.headers.range ) {
+      stream_headers.range = req.headers.range
+    }
 
-        var dc = crypto.createDecipheriv('aes-128-cbc', key, iv)
-        var buffer = Buffer.concat([dc.update(response.body), dc.final()])
+    requestStreamRetry(u, stream_headers, function(err, upstream, response) {
+      if (err) return respond_error(res, err)
 
-        respond(response, res, buffer)
-      })
-    }
+      // Only complete archive segments are cached
+      var cb
+      if ( archive && (response.statusCode == 200) ) {
+        cb = function(body) {
+          session.cacheSegment(u, body)
+        }
+      }
+      respondStream(upstream, response, res, decipher, cb)
+    })
   })
 })
 
@@ -715,31 +1141,225 @@ app.get('/vtt', async function(req, res) {
     referer_parameter = '&referer=' + encodeURIComponent(req.query.referer)
   }
 
-  var req = function () {
-    var headers = {}
-    if ( referer ) {
-      headers.referer = referer
-      headers.origin = getOriginFromURL(referer)
+  var headers = {}
+  if ( referer ) {
+    headers.referer = referer
+    headers.origin = getOriginFromURL(referer)
+  }
+  if ( req.query.gamePk ) headers.gamePk = req.query.gamePk
+  requestStreamRetry(u, headers, function(err, upstream, response) {
+    if (err) return respond_error(res, err)
+
+    respondStream(upstream, response, res)
+  })
+})
+
+// Listen for chapters requests, respond with a WebVTT chapters track of inning start times
+app.get('/chapters.vtt', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('chapters.vtt', req, true)
+
+    let gamePk = req.query.gamePk
+    if ( !gamePk && req.query.teamId ) {
+      gamePk = await session.getGamePk(decodeURIComponent(req.query.teamId), req.query.date, req.query.game)
     }
-    requestRetry(u, headers, function(err, response) {
-      if (err) return res.error(err)
 
-      //session.debuglog(response.body)
+    let body = 'WEBVTT' + "\n"
 
-      var body = response.body
-      session.debuglog(body)
-      respond(response, res, Buffer.from(body))
-    })
+    if ( gamePk ) {
+      let options = {}
+      options.inning_half = req.query.inning_half || VALID_INNING_HALF[0]
+      options.inning_number = req.query.inning_number || VALID_INNING_NUMBER[0]
+      options.skip = req.query.skip || VALID_SKIP[0]
+      options.skip_profile = req.query.skip_profile || DEFAULT_SKIP_PROFILE
+      options.player = parseInt(req.query.player) || false
+      let skip_adjust = parseInt(req.query.skip_adjust) || DEFAULT_SKIP_ADJUST
+
+      let skip_markers = []
+      if ( await get_game_markers(gamePk, options, skip_adjust) ) {
+        skip_markers = session.temp_cache[gamePk].skip_markers || []
+      }
+      let inning_markers = session.temp_cache[gamePk].inning_markers || []
+
+      // Map inning starts onto the stream timeline, dropping innings that were skipped entirely
+      let spoiler_free = is_spoiler_free(req)
+      let chapters = []
+      for (var i=0; i<inning_markers.length; i++) {
+        if ( spoiler_free && inning_markers[i].reveals_result ) continue
+        let start = session.getSkippedTime(inning_markers[i].start, skip_markers)
+        if ( (chapters.length > 0) && (start <= chapters[chapters.length-1].start) ) {
+          chapters.pop()
+        }
+        chapters.push({ title: inning_markers[i].title, start: start })
+      }
+
+      for (var i=0; i<chapters.length; i++) {
+        // the last chapter runs for up to an hour
+        let end = (i < (chapters.length-1)) ? chapters[i+1].start : (chapters[i].start + 3600)
+        body += "\n" + (i+1) + "\n" + new Date(chapters[i].start * 1000).toISOString().substr(11, 12) + ' --> ' + new Date(end * 1000).toISOString().substr(11, 12) + "\n" + chapters[i].title + "\n"
+      }
+    }
+
+    res.writeHead(200, {'Content-Type': 'text/vtt', 'Access-Control-Allow-Origin': '*'})
+    res.end(body)
+  } catch (e) {
+    session.log('chapters.vtt request error : ' + e.message)
+    respond_error(res, e)
   }
+})
 
-  return req()
+// Listen for skip markers API requests, returning the ranges that would be skipped in a game's stream
+app.get('/api/skip_markers', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
 
-  requestRetry(u, {}, function(err, res) {
-    if (err) return res.error(err)
-    req()
-  })
+  try {
+    session.requestlog('api/skip_markers', req, true)
+
+    let gamePk = req.query.gamePk
+    if ( !gamePk && req.query.teamId ) {
+      gamePk = await session.getGamePk(decodeURIComponent(req.query.teamId), req.query.date, req.query.game)
+    }
+    if ( !gamePk ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      return res.end(JSON.stringify({ success: false, error: 'gamePk or teamId required' }))
+    }
+
+    let options = {}
+    options.inning_half = req.query.inning_half || VALID_INNING_HALF[0]
+    options.inning_number = req.query.inning_number || VALID_INNING_NUMBER[0]
+    options.skip = req.query.skip || VALID_SKIP[0]
+    options.skip_profile = req.query.skip_profile || DEFAULT_SKIP_PROFILE
+    options.player = parseInt(req.query.player) || false
+    let skip_adjust = parseInt(req.query.skip_adjust) || DEFAULT_SKIP_ADJUST
+
+    let skip_markers = []
+    let total_skip_time = 0
+    if ( await get_game_markers(gamePk, options, skip_adjust) ) {
+      skip_markers = session.temp_cache[gamePk].skip_markers || []
+      total_skip_time = session.temp_cache[gamePk].total_skip_time || 0
+    }
+    if ( !session.temp_cache[gamePk] || !session.temp_cache[gamePk].broadcast_start_timestamp ) {
+      res.writeHead(404, {'Content-Type': 'application/json'})
+      return res.end(JSON.stringify({ success: false, error: 'broadcast start not found' }))
+    }
+    if ( is_spoiler_free(req) ) {
+      skip_markers = get_spoiler_free_skip_markers(gamePk, skip_markers)
+      total_skip_time = get_total_skip_time(skip_markers)
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*'})
+    res.end(JSON.stringify({
+      success: true,
+      gamePk: parseInt(gamePk),
+      broadcast_start: session.temp_cache[gamePk].broadcast_start_timestamp,
+      skip: options.skip,
+      skip_profile: options.skip_profile,
+      player: options.player,
+      inning_half: options.inning_half,
+      inning_number: options.inning_number,
+      skip_adjust: skip_adjust,
+      skip_markers: skip_markers,
+      total_skip_time: total_skip_time
+    }))
+  } catch (e) {
+    session.log('api/skip_markers request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for innings API requests, returning the start offset of each half-inning relative to the broadcast start
+// (and within the stream, if skip options are specified)
+app.get('/api/innings', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('api/innings', req, true)
+
+    let gamePk = req.query.gamePk
+    if ( !gamePk && req.query.teamId ) {
+      gamePk = await session.getGamePk(decodeURIComponent(req.query.teamId), req.query.date, req.query.game)
+    }
+    if ( !gamePk ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      return res.end(JSON.stringify({ success: false, error: 'gamePk or teamId required' }))
+    }
+
+    let options = {}
+    options.inning_half = req.query.inning_half || VALID_INNING_HALF[0]
+    options.inning_number = req.query.inning_number || VALID_INNING_NUMBER[0]
+    options.skip = req.query.skip || VALID_SKIP[0]
+    options.skip_profile = req.query.skip_profile || DEFAULT_SKIP_PROFILE
+    options.player = parseInt(req.query.player) || false
+    let skip_adjust = parseInt(req.query.skip_adjust) || DEFAULT_SKIP_ADJUST
+
+    let skip_markers
+    if ( await get_game_markers(gamePk, options, skip_adjust) ) {
+      skip_markers = session.temp_cache[gamePk].skip_markers || []
+    }
+    if ( !session.temp_cache[gamePk] || !session.temp_cache[gamePk].broadcast_start_timestamp ) {
+      res.writeHead(404, {'Content-Type': 'application/json'})
+      return res.end(JSON.stringify({ success: false, error: 'broadcast start not found' }))
+    }
+
+    let innings = []
+    let inning_markers = session.temp_cache[gamePk].inning_markers || []
+    let spoiler_free = is_spoiler_free(req)
+    for (var i=0; i<inning_markers.length; i++) {
+      if ( spoiler_free && inning_markers[i].reveals_result ) continue
+      let inning = Object.assign({}, inning_markers[i])
+      if ( skip_markers ) {
+        inning.stream_start = session.getSkippedTime(inning.start, skip_markers)
+      }
+      innings.push(inning)
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*'})
+    res.end(JSON.stringify({
+      success: true,
+      gamePk: parseInt(gamePk),
+      broadcast_start: session.temp_cache[gamePk].broadcast_start_timestamp,
+      skip_adjust: skip_adjust,
+      innings: innings,
+      total_skip_time: skip_markers ? (spoiler_free ? get_total_skip_time(get_spoiler_free_skip_markers(gamePk, skip_markers)) : (session.temp_cache[gamePk].total_skip_time || 0)) : 0
+    }))
+  } catch (e) {
+    session.log('api/innings request error : ' + e.message)
+    respond_error(res, e)
+  }
 })
 
+// Skip markers up to the first inning which would reveal the result (like extra innings), so they don't give away how long the game went
+function get_spoiler_free_skip_markers(gamePk, skip_markers) {
+  let inning_markers = session.temp_cache[gamePk].inning_markers || []
+  let revealing_inning = inning_markers.find(inning_marker => inning_marker.reveals_result)
+  if ( !revealing_inning ) return skip_markers
+
+  let spoiler_free_skip_markers = []
+  for (const skip_marker of skip_markers) {
+    if ( skip_marker.break_start >= revealing_inning.start ) break
+    spoiler_free_skip_markers.push({ break_start: skip_marker.break_start, break_end: Math.min(skip_marker.break_end, revealing_inning.start) })
+  }
+  return spoiler_free_skip_markers
+}
+
+function get_total_skip_time(skip_markers) {
+  let total_skip_time = 0
+  for (const skip_marker of skip_markers) {
+    total_skip_time += skip_marker.break_end - skip_marker.break_start
+  }
+  return total_skip_time
+}
+
+// Spoiler-free mode applies server-wide if --spoiler_free was specified, unless a request overrides it with spoiler_free=on or off
+function is_spoiler_free(req) {
+  if ( req && req.query && VALID_SPOILER_FREE.includes(req.query.spoiler_free) ) {
+    return (req.query.spoiler_free == VALID_SPOILER_FREE[1])
+  }
+  return argv.spoiler_free ? true : false
+}
+
 // Protect pages by password, or content by content_protect url parameter
 async function protect(req, res) {
   if (argv.page_username && argv.page_password) {
@@ -864,7 +1484,18 @@ app.get('/', async function(req, res) {
     if ( req.query.skip_adjust ) {
       skip_adjust = req.query.skip_adjust
     }
-    var pad = VALID_PAD[0]
+    var skip_profile = session.returnValidItem(req.query.skip_profile, session.getSkipProfileNames())
+    var spoiler_free = is_spoiler_free(req)
+    var spoiler_free_parameter = ''
+    if ( VALID_SPOILER_FREE.includes(req.query.spoiler_free) ) {
+      spoiler_free_parameter = req.query.spoiler_free
+    }
+    if ( spoiler_free ) {
+      scores = VALID_SCORES[0]
+    }
+    // streams are padded by default in spoiler-free mode
+    var default_pad = spoiler_free ? VALID_PAD[1] : VALID_PAD[0]
+    var pad = default_pad
     if ( req.query.pad ) {
       pad = req.query.pad
     }
@@ -892,16 +1523,16 @@ app.get('/', async function(req, res) {
     body += '</style><script type="text/javascript">' + "\n";
 
     // Define option variables in page
-    body += 'var date="' + gameDate + '";var level="' + level + '";var org="' + org + '";var resolution="' + resolution + '";var force_vod="' + force_vod + '";var inning_half="' + inning_half + '";var inning_number="' + inning_number + '";var skip="' + skip + '";var skip_adjust="' + skip_adjust + '";var pad="' + pad + '";var linkType="' + linkType + '";var startFrom="' + startFrom + '";var scores="' + scores + '";var controls="' + controls + '";var scan_mode="' + scan_mode + '";var content_protect="' + content_protect + '";' + "\n"
+    body += 'var date="' + gameDate + '";var level="' + level + '";var org="' + org + '";var resolution="' + resolution + '";var force_vod="' + force_vod + '";var inning_half="' + inning_half + '";var inning_number="' + inning_number + '";var skip="' + skip + '";var skip_adjust="' + skip_adjust + '";var skip_profile="' + skip_profile + '";var pad="' + pad + '";var spoiler_free="' + spoiler_free_parameter + '";var linkType="' + linkType + '";var startFrom="' + startFrom + '";var scores="' + scores + '";var controls="' + controls + '";var scan_mode="' + scan_mode + '";var content_protect="' + content_protect + '";' + "\n"
 
     // Reload function, called after options change
-    body += 'var defaultDate="' + today + '";var curDate=new Date();var utcHours=curDate.getUTCHours();if ((utcHours >= ' + todayUTCHours + ') && (utcHours < ' + YESTERDAY_UTC_HOURS + ')){defaultDate="' + yesterday + '"}function reload(){var newurl="/?";if (date != defaultDate){var urldate=date;if (date == "' + today + '"){urldate="today"}else if (date == "' + yesterday + '"){urldate="yesterday"}newurl+="date="+urldate+"&"}if (level != "' + default_level + '"){newurl+="level="+encodeURIComponent(level)+"&"}if (org != "All"){newurl+="org="+encodeURIComponent(org)+"&"}if (resolution != "' + VALID_RESOLUTIONS[0] + '"){newurl+="resolution="+resolution+"&"}if (linkType=="' + VALID_LINK_TYPES[1] + '"){if (force_vod != "' + VALID_FORCE_VOD[0] + '"){newurl+="force_vod="+force_vod+"&"}}if (inning_half != "' + VALID_INNING_HALF[0] + '"){newurl+="inning_half="+inning_half+"&"}if (inning_number != "' + VALID_INNING_NUMBER[0] + '"){newurl+="inning_number="+inning_number+"&"}if (skip != "' + VALID_SKIP[0] + '"){newurl+="skip="+skip+"&";if (skip_adjust != "' + DEFAULT_SKIP_ADJUST + '"){newurl+="skip_adjust="+skip_adjust+"&"}}if (pad != "' + VALID_PAD[0] + '"){newurl+="pad="+pad+"&";}if (linkType != "' + VALID_LINK_TYPES[0] + '"){newurl+="linkType="+linkType+"&"}if (linkType=="' + VALID_LINK_TYPES[0] + '"){if (controls != "' + VALID_CONTROLS[0] + '"){newurl+="controls="+controls+"&"}if (startFrom != "' + VALID_START_FROM[0] + '"){newurl+="startFrom="+startFrom+"&"}}if (scores != "' + VALID_SCORES[0] + '"){newurl+="scores="+scores+"&"}if (scan_mode != "' + session.data.scan_mode + '"){newurl+="scan_mode="+scan_mode+"&"}if (content_protect != ""){newurl+="content_protect="+content_protect+"&"}window.location=newurl.substring(0,newurl.length-1)}' + "\n"
+    body += 'var defaultDate="' + today + '";var curDate=new Date();var utcHours=curDate.getUTCHours();if ((utcHours >= ' + todayUTCHours + ') && (utcHours < ' + YESTERDAY_UTC_HOURS + ')){defaultDate="' + yesterday + '"}function reload(){var newurl="/?";if (date != defaultDate){var urldate=date;if (date == "' + today + '"){urldate="today"}else if (date == "' + yesterday + '"){urldate="yesterday"}newurl+="date="+urldate+"&"}if (level != "' + default_level + '"){newurl+="level="+encodeURIComponent(level)+"&"}if (org != "All"){newurl+="org="+encodeURIComponent(org)+"&"}if (resolution != "' + VALID_RESOLUTIONS[0] + '"){newurl+="resolution="+resolution+"&"}if (linkType=="' + VALID_LINK_TYPES[1] + '"){if (force_vod != "' + VALID_FORCE_VOD[0] + '"){newurl+="force_vod="+force_vod+"&"}}if (inning_half != "' + VALID_INNING_HALF[0] + '"){newurl+="inning_half="+inning_half+"&"}if (inning_number != "' + VALID_INNING_NUMBER[0] + '"){newurl+="inning_number="+inning_number+"&"}if (skip != "' + VALID_SKIP[0] + '"){newurl+="skip="+skip+"&";if (skip_adjust != "' + DEFAULT_SKIP_ADJUST + '"){newurl+="skip_adjust="+skip_adjust+"&"}if (skip_profile != "' + DEFAULT_SKIP_PROFILE + '"){newurl+="skip_profile="+encodeURIComponent(skip_profile)+"&"}}if (pad != "' + default_pad + '"){newurl+="pad="+pad+"&";}if (spoiler_free != ""){newurl+="spoiler_free="+spoiler_free+"&"}if (linkType != "' + VALID_LINK_TYPES[0] + '"){newurl+="linkType="+linkType+"&"}if (linkType=="' + VALID_LINK_TYPES[0] + '"){if (controls != "' + VALID_CONTROLS[0] + '"){newurl+="controls="+controls+"&"}if (startFrom != "' + VALID_START_FROM[0] + '"){newurl+="startFrom="+startFrom+"&"}}if (scores != "' + VALID_SCORES[0] + '"){newurl+="scores="+scores+"&"}if (scan_mode != "' + session.data.scan_mode + '"){newurl+="scan_mode="+scan_mode+"&"}if (content_protect != ""){newurl+="content_protect="+content_protect+"&"}window.location=newurl.substring(0,newurl.length-1)}' + "\n"
 
-    // Ajax function for multiview and highlights
-    body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4 && request.status==200){callback(request.responseText)}};request.open("GET", url);request.send();}' + "\n"
+    // Ajax function for multiview and highlights (error responses are passed on too, so their messages can be shown)
+    body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4 && request.status>0){callback(request.responseText)}};request.open("GET", url);request.send();}' + "\n"
 
     // Multiview functions
-    body += 'function parsemultiviewresponse(responsetext){if (responsetext == "started"){setTimeout(function(){document.getElementById("startmultiview").innerHTML="Restart";document.getElementById("stopmultiview").innerHTML="Stop"},15000)}else if (responsetext == "stopped"){setTimeout(function(){document.getElementById("stopmultiview").innerHTML="Stopped";document.getElementById("startmultiview").innerHTML="Start"},3000)}else{alert(responsetext)}}function addmultiview(e){for(var i=1;i<=4;i++){var valuefound = false;var oldvalue="";var newvalue=e.value;if(!e.checked){oldvalue=e.value;newvalue=""}if (document.getElementById("multiview" + i).value == oldvalue){document.getElementById("multiview" + i).value=newvalue;valuefound=true;break}}if(e.checked && !valuefound){e.checked=false}}function startmultiview(e){var count=0;var getstr="";for(var i=1;i<=4;i++){if (document.getElementById("multiview"+i).value != ""){count++;getstr+="streams="+encodeURIComponent(document.getElementById("multiview"+i).value)+"&sync="+encodeURIComponent(document.getElementById("sync"+i).value)+"&"}}if((count >= 1) && (count <= 4)){if (document.getElementById("faster").checked){getstr+="faster=true&dvr=true&"}else if (document.getElementById("dvr").checked){getstr+="dvr=true&"}if (document.getElementById("reencode").checked){getstr+="reencode=true&"}if (document.getElementById("audio_url").value != ""){getstr+="audio_url="+encodeURIComponent(document.getElementById("audio_url").value)+"&";if (document.getElementById("audio_url_seek").value != "0"){getstr+="audio_url_seek="+encodeURIComponent(document.getElementById("audio_url_seek").value)}}e.innerHTML="starting...";makeGETRequest("/multiview?"+getstr, parsemultiviewresponse)}else{alert("Multiview requires between 1-4 streams to be selected")}return false}function stopmultiview(e){e.innerHTML="stopping...";makeGETRequest("/multiview", parsemultiviewresponse);return false}' + "\n"
+    body += 'var multiviewtimer;function parsemultiviewresponse(responsetext){if ((responsetext == "started") || (responsetext == "stopped")){pollmultiviewstatus()}else{alert(responsetext)}}function pollmultiviewstatus(){clearTimeout(multiviewtimer);makeGETRequest("/multiview/status.json?name="+encodeURIComponent(document.getElementById("multiview_name").value), parsemultiviewstatus)}function parsemultiviewstatus(responsetext){var s=JSON.parse(responsetext);var stats="";if (s.error){document.getElementById("multiview_stats").innerHTML=s.error;return}if (s.status == "stopped"){document.getElementById("stopmultiview").innerHTML="Stopped";document.getElementById("startmultiview").innerHTML="Start";if (s.idle_stopped){stats="stopped because no one was watching"}}else{document.getElementById("startmultiview").innerHTML="Restart";document.getElementById("stopmultiview").innerHTML="Stop";if (s.status == "restarting"){stats="restarting..."}else if (s.segment_count == 0){stats="starting..."}else{stats=s.fps+" fps, "+s.speed+"x speed, "+s.dropped_frames+" dropped frames, "+s.segment_count+" segments"}multiviewtimer=setTimeout(pollmultiviewstatus,5000)}document.getElementById("multiview_stats").innerHTML=stats}function addmultiview(e){for(var i=1;i<=' + MULTIVIEW_MAX_STREAMS + ';i++){var valuefound = false;var oldvalue="";var newvalue=e.value;if(!e.checked){oldvalue=e.value;newvalue=""}if (document.getElementById("multiview" + i).value == oldvalue){document.getElementById("multiview" + i).value=newvalue;valuefound=true;break}}if(e.checked && !valuefound){e.checked=false}}function multiviewparameters(){var count=0;var getstr="";var layout=document.getElementById("multiview_layout");var max_streams=layout.options[layout.selectedIndex].getAttribute("data-max");for(var i=1;i<=' + MULTIVIEW_MAX_STREAMS + ';i++){if (document.getElementById("multiview"+i).value != ""){count++;getstr+="streams="+encodeURIComponent(document.getElementById("multiview"+i).value)+"&sync="+encodeURIComponent(document.getElementById("sync"+i).value)+"&"}}if((count >= 1) && (count <= max_streams)){getstr+="layout="+encodeURIComponent(layout.value)+"&";if (document.getElementById("faster").checked){getstr+="faster=true&dvr=true&"}else if (document.getElementById("dvr").checked){getstr+="dvr=true&"}if (document.getElementById("reencode").checked){getstr+="reencode=true&"}if (document.getElementById("featured").checked){getstr+="featured=true&"}if (document.getElementById("label_score").checked){getstr+="label_score=true&"}else if (document.getElementById("labels").checked){getstr+="labels=true&"}if (document.getElementById("labels").checked || document.getElementById("label_score").checked){getstr+="label_position="+document.getElementById("label_position").value+"&label_size="+document.getElementById("label_size").value+"&"}if (document.getElementById("multiview_start").value != ""){getstr+=document.getElementById("multiview_start").value+"&"}if (spoiler_free != ""){getstr+="spoiler_free="+spoiler_free+"&"}if (document.getElementById("multiview_name").value != "' + DEFAULT_MULTIVIEW_SESSION + '"){getstr+="name="+encodeURIComponent(document.getElementById("multiview_name").value)+"&"}if (document.getElementById("audio_url").value != ""){getstr+="audio_url="+encodeURIComponent(document.getElementById("audio_url").value)+"&";if (document.getElementById("audio_url_seek").value != "0"){getstr+="audio_url_seek="+encodeURIComponent(document.getElementById("audio_url_seek").value)}}return getstr}else{alert("This multiview layout requires between 1-"+max_streams+" streams to be selected");return false}}function startmultiview(e){var getstr=multiviewparameters();if (getstr){e.innerHTML="starting...";makeGETRequest("/multiview?"+getstr, parsemultiviewresponse)}return false}function startmultiviewpreset(){document.getElementById("startmultiview").innerHTML="starting...";makeGETRequest("/multiview?preset="+encodeURIComponent(document.getElementById("multiview_preset").value)+"&name="+encodeURIComponent(document.getElementById("multiview_name").value), parsemultiviewresponse);return false}function savemultiviewpreset(){var getstr=multiviewparameters();if (getstr){makeGETRequest("/multiview/presets/save?preset="+encodeURIComponent(document.getElementById("multiview_preset_name").value)+"&org="+encodeURIComponent(org)+"&"+getstr, function(r){if (r == "saved"){window.location.reload()}else{alert(r)}})}return false}function deletemultiviewpreset(){makeGETRequest("/multiview/presets/delete?preset="+encodeURIComponent(document.getElementById("multiview_preset").value), function(r){window.location.reload()});return false}function stopmultiview(e){e.innerHTML="stopping...";makeGETRequest("/multiview/stop?name="+encodeURIComponent(document.getElementById("multiview_name").value), parsemultiviewresponse);return false}' + "\n"
 
     // Function to switch URLs to stream URLs, where necessary
     body += 'function stream_substitution(url){return url.replace(/\\/([a-zA-Z]+\.html)/,"/stream.m3u8")}' + "\n"
@@ -986,11 +1617,16 @@ app.get('/', async function(req, res) {
     body += '</select>'
     body += '</p>' + "\n"
 
-    body += '<p><span class="tooltip">Scores<span class="tooltiptext">Choose whether to show scores on this web page.</span></span>: '
-    for (var i = 0; i < VALID_SCORES.length; i++) {
-      body += '<button '
-      if ( scores == VALID_SCORES[i] ) body += 'class="default" '
-      body += 'onclick="scores=\'' + VALID_SCORES[i] + '\';reload()">' + VALID_SCORES[i] + '</button> '
+    if ( spoiler_free ) {
+      body += '<p><span class="tooltip">Spoiler-free<span class="tooltiptext">Scores, final status text, no-hitter flags, result-revealing innings, and stream lengths are hidden everywhere.</span></span>: <button class="default">on</button> <button onclick="spoiler_free=\'' + VALID_SPOILER_FREE[0] + '\';reload()">' + VALID_SPOILER_FREE[0] + '</button>'
+    } else {
+      body += '<p><span class="tooltip">Scores<span class="tooltiptext">Choose whether to show scores on this web page.</span></span>: '
+      for (var i = 0; i < VALID_SCORES.length; i++) {
+        body += '<button '
+        if ( scores == VALID_SCORES[i] ) body += 'class="default" '
+        body += 'onclick="scores=\'' + VALID_SCORES[i] + '\';reload()">' + VALID_SCORES[i] + '</button> '
+      }
+      body += ' <button onclick="spoiler_free=\'' + VALID_SPOILER_FREE[1] + '\';reload()">Spoiler-free</button>'
     }
     body += '</p>' + "\n"
 
@@ -1091,7 +1727,8 @@ app.get('/', async function(req, res) {
       if ( cache_data.dates[0].games[j].doubleHeader != 'N'  ) {
         state += "<br/>Game " + cache_data.dates[0].games[j].gameNumber
       }
-      if ( cache_data.dates[0].games[j].description ) {
+      // descriptions can mention how a game ended
+      if ( cache_data.dates[0].games[j].description && !spoiler_free ) {
         state += "<br/>" + cache_data.dates[0].games[j].description
       }
       if ( scheduledInnings != '9' ) {
@@ -1164,8 +1801,10 @@ app.get('/', async function(req, res) {
                   if ( inning_number != VALID_INNING_NUMBER[0] ) querystring += '&inning_number=' + relative_inning
                   if ( skip != VALID_SKIP[0] ) querystring += '&skip=' + skip
                   if ( skip_adjust != DEFAULT_SKIP_ADJUST ) querystring += '&skip_adjust=' + skip_adjust
+                  if ( (skip != VALID_SKIP[0]) && (skip_profile != DEFAULT_SKIP_PROFILE) ) querystring += '&skip_profile=' + encodeURIComponent(skip_profile)
                 }
-                if ( pad != VALID_PAD[0] ) querystring += '&pad=' + pad
+                if ( pad != default_pad ) querystring += '&pad=' + pad
+                if ( spoiler_free_parameter ) querystring += '&spoiler_free=' + spoiler_free_parameter
                 if ( linkType == VALID_LINK_TYPES[1] ) {
                   if ( cache_data.dates[0].games[j].content.media.epg[k].items[x].mediaState == 'MEDIA_ON' ) {
                     if ( force_vod != VALID_FORCE_VOD[0] ) querystring += '&force_vod=' + force_vod
@@ -1174,6 +1813,19 @@ app.get('/', async function(req, res) {
                 querystring += content_protect_b
                 multiviewquerystring += content_protect_b
                 body += '<a href="' + thislink + querystring + '">' + station + '</a>'
+                let stream_account = session.getStreamAccount(gamePk)
+                if ( stream_account ) body += ' <span class="tinytext">(' + stream_account + ')</span>'
+                if ( cache_data.dates[0].games[j].content.media.epg[k].items[x].mediaState == 'MEDIA_ARCHIVE' ) {
+                  let downloadquerystring = '?gamePk=' + gamePk + '&resolution=' + ((resolution != VALID_RESOLUTIONS[0]) ? resolution : DEFAULT_RECORDING_RESOLUTION)
+                  if ( resumeStatus == false ) {
+                    if ( inning_half != VALID_INNING_HALF[0] ) downloadquerystring += '&inning_half=' + inning_half
+                    if ( inning_number != VALID_INNING_NUMBER[0] ) downloadquerystring += '&inning_number=' + relative_inning
+                    if ( skip != VALID_SKIP[0] ) downloadquerystring += '&skip=' + skip
+                    if ( skip_adjust != DEFAULT_SKIP_ADJUST ) downloadquerystring += '&skip_adjust=' + skip_adjust
+                    if ( (skip != VALID_SKIP[0]) && (skip_profile != DEFAULT_SKIP_PROFILE) ) downloadquerystring += '&skip_profile=' + encodeURIComponent(skip_profile)
+                  }
+                  body += ' <a class="tinytext" href="/download.mp4' + downloadquerystring + content_protect_b + '" target="_blank">MP4</a>'
+                }
                 body += '<input type="checkbox" value="' + server + '/stream.m3u8' + multiviewquerystring + '" onclick="addmultiview(this)">'
               } else {
                 body += station
@@ -1201,13 +1853,31 @@ app.get('/', async function(req, res) {
     }
     body += '</p>' + "\n"
 
-    body += '<table><tr><td><table><tr><td>1</td><td>2</tr><tr><td>3</td><td>4</td></tr></table><td><span class="tooltip">Multiview / Alternate Audio / Sync<span class="tooltiptext">For video streams only: create a new live stream combining 1-4 separate video streams, using the layout shown at left (if more than 1 video stream is selected). Check the boxes next to feeds above to add/remove them, then click "Start" when ready, "Stop" when done watching, or "Restart" to stop and start with the currently selected streams. May take up to 15 seconds after starting before it is ready to play.<br/><br/>No video scaling is performed: defaults to 540p video for each stream, which can combine to make one 1080p stream. Audio defaults to English (TV) audio. If you specify a different audio track instead, you can use the box after each URL below to adjust the sync in seconds (use positive values if audio is early and the audio stream needs to be padded with silence at the beginning to line up with the video; negative values if audio is late, and audio needs to be trimmed from the beginning.)<br/><br/>TIP #1: You can enter just 1 video stream here, at any resolution, to take advantage of the audio sync or alternate audio features without using multiview -- a single video stream will not be re-encoded and will be presented at its full resolution.<br/><br/>TIP #2: You can also manually enter streams from other sources like <a href="https://www.npmjs.com/package/mlbserver" target="_blank">mlbserver</a> in the boxes below. Make sure any manually entered streams have the desired resolution.<br/><br/>WARNING #1: if the milbserver process dies or restarts while multiview is active, the ffmpeg encoding process will be orphaned and must be killed manually.<br/><br/>WARNING #2: If you did not specify a hardware encoder for ffmpeg on the command line, this will use your server CPU for encoding. Either way, your system may not be able to keep up with processing 4 video streams at once. Try fewer streams if you have perisistent trouble.</span></span>: <a id="startmultiview" href="" onclick="startmultiview(this);return false">Start'
-    if ( ffmpeg_status ) body += 'ed'
+    body += '<table><tr><td><table><tr><td>1</td><td>2</tr><tr><td>3</td><td>4</td></tr></table><td><span class="tooltip">Multiview / Alternate Audio / Sync<span class="tooltiptext">For video streams only: create a new live stream combining 1-9 separate video streams, using the selected layout (the default grid is shown at left, if more than 1 video stream is selected). Check the boxes next to feeds above to add/remove them, then click "Start" when ready, "Stop" when done watching, or "Restart" to stop and start with the currently selected streams. May take up to 15 seconds after starting before it is ready to play.<br/><br/>Each stream is scaled to fit its place in the layout: defaults to 540p video for each stream, which can combine to make one 1080p stream. Audio defaults to English (TV) audio. If you specify a different audio track instead, you can use the box after each URL below to adjust the sync in seconds (use positive values if audio is early and the audio stream needs to be padded with silence at the beginning to line up with the video; negative values if audio is late, and audio needs to be trimmed from the beginning.)<br/><br/>TIP #1: You can enter just 1 video stream here, at any resolution, to take advantage of the audio sync or alternate audio features without using multiview -- a single video stream will not be re-encoded and will be presented at its full resolution.<br/><br/>TIP #2: You can also manually enter streams from other sources like <a href="https://www.npmjs.com/package/mlbserver" target="_blank">mlbserver</a> in the boxes below. Make sure any manually entered streams have the desired resolution.<br/><br/>WARNING #1: if the milbserver process dies or restarts while multiview is active, the ffmpeg encoding process will be orphaned and must be killed manually.<br/><br/>WARNING #2: If you did not specify a hardware encoder for ffmpeg on the command line, this will use your server CPU for encoding. Either way, your system may not be able to keep up with processing several video streams at once. Try fewer streams if you have perisistent trouble.</span></span>: <a id="startmultiview" href="" onclick="startmultiview(this);return false">Start'
+    let multiview_status = multiview_sessions[DEFAULT_MULTIVIEW_SESSION] && multiview_sessions[DEFAULT_MULTIVIEW_SESSION].status
+    if ( multiview_status ) body += 'ed'
     body += '</a> | <a id="stopmultiview" href="" onclick="stopmultiview(this);return false">Stop'
-    if ( !ffmpeg_status ) body += 'ped'
-    body += '</a><br/>' + "\n"
-    body += '<span class="tinytext">(check boxes next to games to add, then click "Start";<br/>must click "Stop" link above when done, or manually kill ffmpeg)</span></td></tr><tr><td colspan="2">' + "\n"
-    for (var i=1; i<=4; i++) {
+    if ( !multiview_status ) body += 'ped'
+    body += '</a> <span id="multiview_stats" class="tinytext"></span><br/>' + "\n"
+    body += '<span class="tooltip">Session<span class="tooltiptext">Run more than one multiview at once by giving each a different session name (up to ' + multiview_max_sessions + ' at once). The links at the bottom of this box are for the default session; other sessions are listed below them.</span></span>: <input type="text" id="multiview_name" value="' + DEFAULT_MULTIVIEW_SESSION + '" size="10" onchange="pollmultiviewstatus()"/><br/>' + "\n"
+    if ( multiview_status ) body += '<script>pollmultiviewstatus()</script>' + "\n"
+    body += '<span class="tooltip">Presets<span class="tooltiptext">Save the selected games, sync values, layout, and options as a named preset, to start again another day. Presets save team IDs, so they use each team\'s game for the current day when started (if a game was selected from a view filtered by org, the team in that org is saved; otherwise the home team). Presets are also listed as channels in channels.m3u, which start when played.</span></span>: '
+    let preset_names = session.getMultiviewPresetNames()
+    if ( preset_names.length > 0 ) {
+      body += '<select id="multiview_preset">'
+      for (var i=0; i<preset_names.length; i++) {
+        body += '<option value="' + preset_names[i] + '">' + preset_names[i] + '</option>'
+      }
+      body += '</select> <a href="" onclick="startmultiviewpreset();return false">Start</a> | <a href="" onclick="deletemultiviewpreset();return false">Delete</a> | '
+    }
+    body += 'save selected as <input type="text" id="multiview_preset_name" size="10"/> <a href="" onclick="savemultiviewpreset();return false">Save</a><br/>' + "\n"
+    body += '<span class="tinytext">(check boxes next to games to add, then click "Start";<br/>must click "Stop" link above when done' + ((multiview_idle_minutes > 0) ? (', or it will stop after ' + multiview_idle_minutes + ' minutes with no viewers') : ', or manually kill ffmpeg') + ')</span></td></tr><tr><td colspan="2">' + "\n"
+    body += '<span class="tooltip">Layout<span class="tooltiptext">grid: 2x2 for up to 4 streams, or 3x3 for up to 9. 2x1: 2 streams side by side. 1+3: 1 large stream and 3 small ones. pip: 1 full size stream with up to 3 picture-in-picture insets. 3x3: always 3x3, for up to 9 streams.</span></span>: <select id="multiview_layout">'
+    for (var i=0; i<VALID_MULTIVIEW_LAYOUTS.length; i++) {
+      body += '<option value="' + VALID_MULTIVIEW_LAYOUTS[i] + '" data-max="' + MULTIVIEW_LAYOUTS[VALID_MULTIVIEW_LAYOUTS[i]].max_streams + '">' + VALID_MULTIVIEW_LAYOUTS[i] + '</option>'
+    }
+    body += '</select><br/>' + "\n"
+    for (var i=1; i<=MULTIVIEW_MAX_STREAMS; i++) {
       body += i + ': <textarea id="multiview' + i + '" rows=2 cols=60 oninput="this.value=stream_substitution(this.value)"></textarea>'
       body += '<input type="number" id="sync' + i + '" value="0.0" step=".1" style="vertical-align:top;font-size:.8em;width:3em"/>'
       body += '<br/>' + "\n"
@@ -1215,17 +1885,44 @@ app.get('/', async function(req, res) {
     body += '<input type="checkbox" id="dvr"/> <span class="tooltip">DVR: allow pausing/seeking multiview<span class="tooltiptext">If this is enabled, it will use more disk space but you will be able to pause and seek in the multiview stream. Not necessary if you are strictly watching live.</span></span><br/>' + "\n"
     body += '<input type="checkbox" id="faster" onchange="if (this.checked){document.getElementById(\'dvr\').checked=true}"/> <span class="tooltip">Encode faster than real-time<span class="tooltiptext">Implies DVR. Not necessary for live streams (which are only delivered in real-time), but if you want to seek ahead in archive streams using multiview, you may want to enable this. WARNING: ffmpeg may approach 100% CPU usage if you use this while combining multiple archive video streams in multiview.</span></span><br/>' + "\n"
     body += '<input type="checkbox" id="reencode"/> <span class="tooltip">Re-encode all audio<span class="tooltiptext">Uses more CPU. Generally only necessary if you need the multiview stream to continue after one of the individual streams has ended. (Any streams with sync adjustments above will automatically be re-encoded, regardless of this setting.)</span></span><br/>' + "\n"
+    body += '<input type="checkbox" id="featured"/> <span class="tooltip">Featured game switching<span class="tooltiptext">For live games: automatically moves the game with the most interesting situation (runners in scoring position, late innings, close score) into the first tile, which is the large one in the 1+3 and pip layouts, and makes its audio the default track. Checked every ' + MULTIVIEW_GAMES_CHECK_SECONDS + ' seconds; a game must lead for ' + MULTIVIEW_FEATURED_CHECKS + ' checks in a row, and stays featured for at least ' + MULTIVIEW_FEATURED_MIN_SECONDS + ' seconds.</span></span><br/>' + "\n"
+    body += '<input type="checkbox" id="labels"/> <span class="tooltip">Tile labels<span class="tooltiptext">Shows the teams on each tile. Optionally also shows the score and inning, delayed by ' + DEFAULT_MULTIVIEW_SCORE_DELAY + ' seconds so it does not get ahead of the video (not available in spoiler-free mode). Not applied to a single stream, which is not re-encoded.</span></span> (<input type="checkbox" id="label_score" onchange="if (this.checked){document.getElementById(\'labels\').checked=true}"/> with score) <select id="label_position">'
+    for (var i=0; i<VALID_MULTIVIEW_LABEL_POSITIONS.length; i++) {
+      body += '<option value="' + VALID_MULTIVIEW_LABEL_POSITIONS[i] + '">' + VALID_MULTIVIEW_LABEL_POSITIONS[i] + '</option>'
+    }
+    body += '</select> size <input type="number" id="label_size" value="' + DEFAULT_MULTIVIEW_LABEL_SIZE + '" step="2" style="vertical-align:top;font-size:.8em;width:3em"/><br/>' + "\n"
+    body += '<span class="tooltip">Start archive games at<span class="tooltiptext">For archive games: starts every stream at the same point in its game, instead of the beginning of each broadcast. If a game ended before the selected inning, it starts at its last half inning. Live games and streams with their own inning or skip options are not affected. Sync adjustments above still apply to the audio.</span></span>: <select id="multiview_start"><option value="">beginning of broadcast</option><option value="first_pitch=true">first pitch</option>'
+    for (var i=1; i<VALID_INNING_NUMBER.length; i++) {
+      for (var j=1; j<VALID_INNING_HALF.length; j++) {
+        body += '<option value="inning_half=' + VALID_INNING_HALF[j] + '&inning_number=' + VALID_INNING_NUMBER[i] + '">' + VALID_INNING_HALF[j] + ' ' + VALID_INNING_NUMBER[i] + '</option>'
+      }
+    }
+    body += '</select><br/>' + "\n"
     body += '<hr><span class="tooltip">Alternate audio URL and sync<span class="tooltiptext">Optional: you can also include a separate audio-only URL as an additional alternate audio track. This is useful if you want to pair the road radio feed with a national TV broadcast (which only includes home radio feeds by default). Archive games will likely require a very large negative sync value, as the radio broadcasts may not be trimmed like the video archives.</span></span>:<br/><textarea id="audio_url" rows=2 cols=60 oninput="this.value=stream_substitution(this.value)"></textarea><input id="audio_url_seek" type="number" value="0" style="vertical-align:top;font-size:.8em;width:4em"/>'
     body += '<hr>Watch: <a href="/embed.html?src=' + encodeURIComponent(multiview_server + multiview_url_path) + '">Embed</a> | <a href="' + multiview_server + multiview_url_path + '">Stream</a> | <a href="/chromecast.html?src=' + encodeURIComponent(multiview_server + multiview_url_path) + '">Chromecast</a> | <a href="/advanced.html?src=' + encodeURIComponent(multiview_server + multiview_url_path) + '">Advanced</a><br/><span class="tinytext">Download: <a href="/kodi.strm?src=' + encodeURIComponent(multiview_server + multiview_url_path) + '">Kodi STRM file</a> (<a href="/kodi.strm?version=18&src=' + encodeURIComponent(multiview_server + multiview_url_path) + '">Leia/18</a>)</span>'
+    for (const name in multiview_sessions) {
+      if ( name == DEFAULT_MULTIVIEW_SESSION ) continue
+      let session_url = multiview_server + get_multiview_url_path(name)
+      body += '<br/>' + name + ' (' + get_multiview_session_status(name) + '): <a href="/embed.html?src=' + encodeURIComponent(session_url) + '">Embed</a> | <a href="' + session_url + '">Stream</a> | <a href="" onclick="makeGETRequest(\'/multiview/restart?name=' + name + '\', function(r){alert(r)});return false">Restart</a> | <a href="" onclick="makeGETRequest(\'/multiview/stop?name=' + name + '\', function(r){alert(r)});return false">Stop</a>'
+    }
     body += '</td></tr></table><br/>' + "\n"
 
-    body += '<p><span class="tooltip">Skip<span class="tooltiptext">For video streams only (use the video "none" option above to apply it to audio streams): you can remove breaks, idle time, or non-action pitches from the stream (useful to make your own "condensed games").<br/><br/>NOTE: skip timings are only generated when the stream is loaded -- so for live games, it will only skip up to the time you loaded the stream. Also does not work for suspended/resumed games.</span></span>: '
+    body += '<p><span class="tooltip">Skip<span class="tooltiptext">For video streams only (use the video "none" option above to apply it to audio streams): you can remove breaks, idle time, or non-action pitches from the stream (useful to make your own "condensed games"), or keep only scoring plays or key moments (runs, home runs, strikeouts with runners in scoring position, and the final out) for a highlight reel.<br/><br/>NOTE: skip timings are only generated when the stream is loaded -- so for live games, it will only skip up to the time you loaded the stream. Also does not work for suspended/resumed games.</span></span>: '
     for (var i = 0; i < VALID_SKIP.length; i++) {
       body += '<button '
       if ( skip == VALID_SKIP[i] ) body += 'class="default" '
       body += 'onclick="skip=\'' + VALID_SKIP[i] + '\';reload()">' + VALID_SKIP[i] + '</button> '
     }
     body += ' <span class="tooltip">Skip Adjust<span class="tooltiptext">Seconds to adjust the skip time video segments, if necessary. Try a negative number if the plays are ending before the video segments begin; use a positive number if the video segments are ending before the play happens.</span></span>: <input type="number" id="skip_adjust" value="' + skip_adjust + '" step="5" onchange="setTimeout(function(){skip_adjust=document.getElementById(\'skip_adjust\').value;reload()},750)" onblur="skip_adjust=this.value;reload()" style="vertical-align:top;font-size:.8em;width:3em"/>'
+    let skip_profile_names = session.getSkipProfileNames()
+    if ( skip_profile_names.length > 1 ) {
+      body += ' <span class="tooltip">Profile<span class="tooltiptext">Skip profiles (defined in skip_profiles.json) set which events count as breaks or action, and how much padding to keep around them.</span></span>: '
+      for (var i = 0; i < skip_profile_names.length; i++) {
+        body += '<button '
+        if ( skip_profile == skip_profile_names[i] ) body += 'class="default" '
+        body += 'onclick="skip_profile=\'' + skip_profile_names[i] + '\';reload()">' + skip_profile_names[i] + '</button> '
+      }
+    }
     body += '</p>' + "\n"
 
     body += '<p><span class="tooltip">Pad<span class="tooltiptext">You can pad archive streams with random extra time at the end, to help conceal timeline spoilers.</span></span>: '
@@ -1306,6 +2003,8 @@ app.get('/', async function(req, res) {
       local_url += '?' + urlArray[1]
     }
     let media_center_link = '/live-stream-games/' + gameDate.replace(/-/g,'/') + local_url
+    body += '<p><span class="tooltip">Recordings<span class="tooltiptext">Schedule recordings of a team\'s or org\'s games, and watch or delete finished recordings.</span></span>: <a href="/recordings' + content_protect_a + '">Link</a></p>' + "\n"
+
     body += '<p><span class="tooltip">Media Center View<span class="tooltiptext">Allows you to use the MiLB Media Center page format for nagivation.</span></span>: <a href="' + media_center_link + '" target="_blank">Link</a></p>' + "\n"
 
     body += '<p><span class="tooltip">Sample video<span class="tooltiptext">A sample stream. Useful for testing and troubleshooting.</span></span>: <a href="/embed.html' + content_protect_a + '">Embed</a> | <a href="/stream.m3u8' + content_protect_a + '">Stream</a> | <a href="/chromecast.html' + content_protect_a + '">Chromecast</a> | <a href="/advanced.html' + content_protect_a + '">Advanced</a></p>' + "\n"
@@ -1322,7 +2021,7 @@ app.get('/', async function(req, res) {
     res.end(body)
   } catch (e) {
     session.log('home request error : ' + e.message)
-    res.end('')
+    respond_error(res, e)
   }
 })
 
@@ -1344,55 +2043,65 @@ app.options('*', function(req, res) {
 app.get('/live-stream-games*', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('live-stream-games', req)
+  try {
+    session.requestlog('live-stream-games', req)
 
-  // check for a linkType parameter in the url
-  let linkType = VALID_LINK_TYPES[0]
-  if ( req.query.linkType ) {
-    linkType = req.query.linkType
-    session.setLinkType(linkType)
-  }
+    // check for a linkType parameter in the url
+    let linkType = VALID_LINK_TYPES[0]
+    if ( req.query.linkType ) {
+      linkType = req.query.linkType
+      session.setLinkType(linkType)
+    }
 
-  // use the link type to determine the local url to use
-  var local_url = '/embed.html' // default to embedded player
-  if ( linkType == VALID_LINK_TYPES[1] ) { // direct stream
-    local_url = '/stream.m3u8'
-  } else { // other
-    local_url = '/' + linkType + '.html'
-  }
-  let urlArray = req.url.split('?')
-  if ( (urlArray.length == 2) ) {
-    local_url += '?' + urlArray[1]
-  }
+    // use the link type to determine the local url to use
+    var local_url = '/embed.html' // default to embedded player
+    if ( linkType == VALID_LINK_TYPES[1] ) { // direct stream
+      local_url = '/stream.m3u8'
+    } else { // other
+      local_url = '/' + linkType + '.html'
+    }
+    let urlArray = req.url.split('?')
+    if ( (urlArray.length == 2) ) {
+      local_url += '?' + urlArray[1]
+    }
 
-  // remove our local parameters, if specified, from the url we will fetch remotely
-  var remote_url = url.parse(req.url).pathname
+    // remove our local parameters, if specified, from the url we will fetch remotely
+    var remote_url = url.parse(req.url).pathname
+
+    let reqObj = {
+      url: session.getUpstreamURL('milb') + remote_url,
+      headers: {
+        'User-Agent': session.getUserAgent(),
+        'Origin': 'https://www.mlib.com',
+        'Referer': 'https://www.mlib.com/',
+        'Accept-Encoding': 'gzip, deflate, br'
+      },
+      gzip: true
+    }
 
-  let reqObj = {
-    url: 'https://www.milb.com' + remote_url,
-    headers: {
-      'User-Agent': session.getUserAgent(),
-      'Origin': 'https://www.mlib.com',
-      'Referer': 'https://www.mlib.com/',
-      'Accept-Encoding': 'gzip, deflate, br'
-    },
-    gzip: true
-  }
+    var body = await session.httpGet(reqObj)
 
-  var body = await session.httpGet(reqObj)
+    // a regex substitution to change existing links to local urls
+    body = body.replace(/<button name="watch" class="milbtv__btn milbtv__btn--watch" data-gamepk="(\d+)/g,'<a href="'+local_url+'&gamePk=$1')
 
-  // a regex substitution to change existing links to local urls
-  body = body.replace(/<button name="watch" class="milbtv__btn milbtv__btn--watch" data-gamepk="(\d+)/g,'<a href="'+local_url+'&gamePk=$1')
+    // a regex substitution to remove unsupported filter menus
+    if ( session.protection.content_protect ) {
+      body = body.replace(/<div class="milbtv__filters">[\S\s]+Reset\n            <\/span>\n        <\/div>/g,'')
+    }
 
-  // a regex substitution to remove unsupported filter menus
-  if ( session.protection.content_protect ) {
-    body = body.replace(/<div class="milbtv__filters">[\S\s]+Reset\n            <\/span>\n        <\/div>/g,'')
-  }
+    // hide scores and game results in spoiler-free mode (by class name, since the page markup is not ours)
+    if ( is_spoiler_free(req) ) {
+      body = body.replace('</head>', '<style type="text/css">[class*="score"],[class*="Score"],[class*="result"],[class*="Result"],[class*="no-hitter"]{visibility:hidden !important}</style></head>')
+    }
 
-  // hide popup to accept cookies
-  body = body.replace(/www.googletagmanager.com/g,'0.0.0.0')
+    // hide popup to accept cookies
+    body = body.replace(/www.googletagmanager.com/g,'0.0.0.0')
 
-  res.end(body)
+    res.end(body)
+  } catch (e) {
+    session.log('live-stream-games request error : ' + e.message)
+    respond_error(res, e)
+  }
 })
 
 // Listen for embed request, respond with embedded hls.js player
@@ -1426,21 +2135,44 @@ app.get('/embed.html', async function(req, res) {
     content_protect = '?content_protect=' + session.protection.content_protect
   }
 
+  // Inning chapters for games, unless controls are hidden to avoid spoilers
+  let chapters_url = false
+  if ( !req.query.src && (req.query.gamePk || req.query.teamId) && (controls == VALID_CONTROLS[0]) ) {
+    chapters_url = '/chapters.vtt?' + req.url.split('?')[1]
+  }
+
   // Adapted from https://hls-js.netlify.app/demo/basic-usage.html
-  var body = '<html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><title>' + appname + ' player</title><link rel="icon" href="favicon.svg"><style type="text/css">input[type=text],input[type=button]{-webkit-appearance:none;-webkit-border-radius:0}body{background-color:black;color:lightgrey;font-family:Arial,Helvetica,sans-serif}video{width:100% !important;height:auto !important;max-width:1280px}input[type=number]::-webkit-inner-spin-button{opacity:1}button{color:lightgray;background-color:black}button.default{color:black;background-color:lightgray}</style><script>function goBack(){var prevPage=window.location.href;window.history.go(-1);setTimeout(function(){if(window.location.href==prevPage){window.location.href="/' + content_protect + '"}}, 500)}function toggleAudio(x){var elements=document.getElementsByClassName("audioButton");for(var i=0;i<elements.length;i++){elements[i].className="audioButton"}document.getElementById("audioButton"+x).className+=" default";hls.audioTrack=x}function changeTime(x){video.currentTime+=x}function changeRate(x){let newRate=Math.round((Number(document.getElementById("playback_rate").value)+x)*10)/10;if((newRate<=document.getElementById("playback_rate").max) && (newRate>=document.getElementById("playback_rate").min)){document.getElementById("playback_rate").value=newRate.toFixed(1);video.defaultPlaybackRate=video.playbackRate=document.getElementById("playback_rate").value}}function myKeyPress(e){if(e.key=="ArrowRight"){changeTime(10)}else if(e.key=="ArrowLeft"){changeTime(-10)}else if(e.key=="ArrowUp"){changeRate(0.1)}else if(e.key=="ArrowDown"){changeRate(-0.1)}}</script></head><body onkeydown="myKeyPress(event)"><script src="https://hls-js.netlify.app/dist/hls.js"></script><video id="video"'
+  var body = '<html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><title>' + appname + ' player</title><link rel="icon" href="favicon.svg"><style type="text/css">input[type=text],input[type=button]{-webkit-appearance:none;-webkit-border-radius:0}body{background-color:black;color:lightgrey;font-family:Arial,Helvetica,sans-serif}video{width:100% !important;height:auto !important;max-width:1280px}input[type=number]::-webkit-inner-spin-button{opacity:1}button{color:lightgray;background-color:black}button.default{color:black;background-color:lightgray}</style><script>function goBack(){var prevPage=window.location.href;window.history.go(-1);setTimeout(function(){if(window.location.href==prevPage){window.location.href="/' + content_protect + '"}}, 500)}function toggleAudio(x){var elements=document.getElementsByClassName("audioButton");for(var i=0;i<elements.length;i++){elements[i].className="audioButton"}document.getElementById("audioButton"+x).className+=" default";hls.audioTrack=x}function changeTime(x){video.currentTime+=x}function changeRate(x){let newRate=Math.round((Number(document.getElementById("playback_rate").value)+x)*10)/10;if((newRate<=document.getElementById("playback_rate").max) && (newRate>=document.getElementById("playback_rate").min)){document.getElementById("playback_rate").value=newRate.toFixed(1);video.defaultPlaybackRate=video.playbackRate=document.getElementById("playback_rate").value}}function captionTrack(){if(video.textTracks){for(var i=0;i<video.textTracks.length;i++){if(video.textTracks[i].kind!="chapters"){return video.textTracks[i]}}}}function myKeyPress(e){if(e.key=="ArrowRight"){changeTime(10)}else if(e.key=="ArrowLeft"){changeTime(-10)}else if(e.key=="ArrowUp"){changeRate(0.1)}else if(e.key=="ArrowDown"){changeRate(-0.1)}}</script></head><body onkeydown="myKeyPress(event)"><script src="https://hls-js.netlify.app/dist/hls.js"></script><video id="video"'
   if ( controls == VALID_CONTROLS[0] ) {
     body += ' controls'
   }
-  body += '></video><script>var video=document.getElementById("video");var track;if(Hls.isSupported()){var hls=new Hls('
+  body += '>'
+  if ( chapters_url ) {
+    body += '<track id="chapters_track" kind="chapters" src="' + chapters_url + '">'
+  }
+  body += '</video><script>var video=document.getElementById("video");var track;'
+
+  // MP4 files (recordings and downloads) play natively instead of through hls.js
+  if ( video_url.split('?')[0].endsWith('.mp4') ) {
+    body += 'video.src="' + video_url + '";video.addEventListener("canplay",function(){video.play()});track=captionTrack()'
+  } else {
+    body += 'if(Hls.isSupported()){var hls=new Hls('
+
+    if ( startFrom != VALID_START_FROM[1] ) {
+      body += '{startPosition:0,liveSyncDuration:32400,liveMaxLatencyDuration:32410}'
+    }
 
-  if ( startFrom != VALID_START_FROM[1] ) {
-    body += '{startPosition:0,liveSyncDuration:32400,liveMaxLatencyDuration:32410}'
+    body += ');hls.loadSource("' + video_url + '");hls.attachMedia(video);hls.on(Hls.Events.MEDIA_ATTACHED,function(){video.muted=true;video.play()});hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, function(){var audioSpan=document.getElementById("audioSpan");var audioButtons="";for(var i=0;i<hls.audioTracks.length;i++){audioButtons+=\'<button id="audioButton\'+i+\'" class="audioButton\';if(i==0){audioButtons+=\' default\'}audioButtons+=\'" onclick="toggleAudio(\'+i+\')">\'+hls.audioTracks[i]["name"]+"</button> "}audioSpan.innerHTML=audioButtons});hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, function(){track=captionTrack()})}else if(video.canPlayType("application/vnd.apple.mpegurl")){video.src="' + video_url + '";video.addEventListener("canplay",function(){video.play()})}'
   }
 
-  body += ');hls.loadSource("' + video_url + '");hls.attachMedia(video);hls.on(Hls.Events.MEDIA_ATTACHED,function(){video.muted=true;video.play()});hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, function(){var audioSpan=document.getElementById("audioSpan");var audioButtons="";for(var i=0;i<hls.audioTracks.length;i++){audioButtons+=\'<button id="audioButton\'+i+\'" class="audioButton\';if(i==0){audioButtons+=\' default\'}audioButtons+=\'" onclick="toggleAudio(\'+i+\')">\'+hls.audioTracks[i]["name"]+"</button> "}audioSpan.innerHTML=audioButtons});hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, function(){track=video.textTracks && video.textTracks[0]})}else if(video.canPlayType("application/vnd.apple.mpegurl")){video.src="' + video_url + '";video.addEventListener("canplay",function(){video.play()})}</script><p>Skip: <button onclick="changeTime(-10)">- 10 s</button> <button onclick="changeTime(10)">+ 10 s</button> <button onclick="changeTime(30)">+ 30 s</button> <button onclick="changeTime(90)">+ 90 s</button> '
+  body += '</script><p>Skip: <button onclick="changeTime(-10)">- 10 s</button> <button onclick="changeTime(10)">+ 10 s</button> <button onclick="changeTime(30)">+ 30 s</button> <button onclick="changeTime(90)">+ 90 s</button> '
 
   body += '<button onclick="changeTime(video.duration-10)">Latest</button> '
 
+  if ( chapters_url ) {
+    body += '</p><p id="chapters_menu" style="display:none">Inning: <select id="chapters_select" onchange="if(this.value!=\'\'){video.currentTime=Number(this.value)}this.selectedIndex=0"></select></p><script>var chaptersTrack=document.getElementById("chapters_track");chaptersTrack.track.mode="hidden";chaptersTrack.addEventListener("load",function(){var cues=chaptersTrack.track.cues;if(cues && (cues.length>0)){var chapterOptions=\'<option value="">Jump to...</option>\';for(var i=0;i<cues.length;i++){chapterOptions+=\'<option value="\'+cues[i].startTime+\'">\'+cues[i].text+"</option>"}document.getElementById("chapters_select").innerHTML=chapterOptions;document.getElementById("chapters_menu").style.display="block"}})</script><p>'
+  }
+
   body += '<button id="airplay">AirPlay</button></p><p>Playback rate: <input type="number" value=1.0 min=0.1 max=16.0 step=0.1 id="playback_rate" size="8" style="width: 4em" onchange="video.defaultPlaybackRate=video.playbackRate=this.value"></p><p>Audio: <button onclick="video.muted=!video.muted">Toggle Mute</button> <span id="audioSpan"></span></p><p>Captions: <button onclick="if(track){if(track.mode.indexOf(\'showing\') >= 0){track.mode = \'hidden\'}else{track.mode=\'showing\'}}">Toggle Captions</button> <span id="audioSpan"></span></p><p>Controls: <button onclick="video.controls=!video.controls">Toggle Controls</button></p><p><button onclick="goBack()">Back</button></p><script>var airPlay=document.getElementById("airplay");if(window.WebKitPlaybackTargetAvailabilityEvent){video.addEventListener("webkitplaybacktargetavailabilitychanged",function(event){switch(event.availability){case "available":airPlay.style.display="inline";break;default:airPlay.style.display="none"}airPlay.addEventListener("click",function(){video.webkitShowPlaybackTargetPicker()})})}else{airPlay.style.display="none"}</script></body></html>'
   res.end(body)
 })
@@ -1495,169 +2227,1110 @@ app.get('/chromecast.html', async function(req, res) {
 app.get('/channels.m3u', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('channels.m3u', req)
+  try {
+    session.requestlog('channels.m3u', req)
 
-  let includeTeams = []
-  if ( req.query.includeTeams ) {
-    includeTeams = req.query.includeTeams.toUpperCase().split(',')
-  }
-  let excludeTeams = []
-  if ( req.query.excludeTeams ) {
-    excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
-  }
+    let includeTeams = []
+    if ( req.query.includeTeams ) {
+      includeTeams = req.query.includeTeams.toUpperCase().split(',')
+    }
+    let excludeTeams = []
+    if ( req.query.excludeTeams ) {
+      excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
+    }
 
-  let includeOrgs = []
-  if ( req.query.includeOrgs ) {
-    includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
-  }
+    let includeOrgs = []
+    if ( req.query.includeOrgs ) {
+      includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
+    }
 
-  let server = 'http://' + req.headers.host
+    let server = 'http://' + req.headers.host
 
-  let resolution = 'best'
-  if ( req.query.resolution ) {
-    resolution = req.query.resolution
-  }
+    let resolution = 'best'
+    if ( req.query.resolution ) {
+      resolution = req.query.resolution
+    }
 
-  let pipe = 'false'
-  if ( req.query.pipe ) {
-    pipe = req.query.pipe
-  }
+    let pipe = 'false'
+    if ( req.query.pipe ) {
+      pipe = req.query.pipe
+    }
 
-  let startingChannelNumber = 1
-  if ( req.query.startingChannelNumber ) {
-    startingChannelNumber = req.query.startingChannelNumber
-  }
+    let startingChannelNumber = 1
+    if ( req.query.startingChannelNumber ) {
+      startingChannelNumber = req.query.startingChannelNumber
+    }
 
-  var body = await session.getTVData('channels', includeTeams, excludeTeams, includeOrgs, server, resolution, pipe, startingChannelNumber)
+    var body = await session.getTVData('channels', includeTeams, excludeTeams, includeOrgs, server, resolution, pipe, startingChannelNumber, is_spoiler_free(req))
 
-  res.writeHead(200, {'Content-Type': 'audio/x-mpegurl'})
-  res.end(body)
+    res.writeHead(200, {'Content-Type': 'audio/x-mpegurl'})
+    res.end(body)
+  } catch (e) {
+    session.log('channels.m3u request error : ' + e.message)
+    respond_error(res, e)
+  }
 })
 
 // Listen for guide.xml request
 app.get('/guide.xml', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('guide.xml', req)
+  try {
+    session.requestlog('guide.xml', req)
 
-  let includeTeams = []
-  if ( req.query.includeTeams ) {
-    includeTeams = req.query.includeTeams.toUpperCase().split(',')
-  }
-  let excludeTeams = []
-  if ( req.query.excludeTeams ) {
-    excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
-  }
+    let includeTeams = []
+    if ( req.query.includeTeams ) {
+      includeTeams = req.query.includeTeams.toUpperCase().split(',')
+    }
+    let excludeTeams = []
+    if ( req.query.excludeTeams ) {
+      excludeTeams = req.query.excludeTeams.toUpperCase().split(',')
+    }
 
-  let includeOrgs = []
-  if ( req.query.includeOrgs ) {
-    includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
-  }
+    let includeOrgs = []
+    if ( req.query.includeOrgs ) {
+      includeOrgs = req.query.includeOrgs.toUpperCase().split(',')
+    }
 
-  let server = 'http://' + req.headers.host
+    let server = 'http://' + req.headers.host
 
-  var body = await session.getTVData('guide', includeTeams, excludeTeams, includeOrgs, server)
+    var body = await session.getTVData('guide', includeTeams, excludeTeams, includeOrgs, server, undefined, undefined, undefined, is_spoiler_free(req))
 
-  res.end(body)
+    res.end(body)
+  } catch (e) {
+    session.log('guide.xml request error : ' + e.message)
+    respond_error(res, e)
+  }
 })
 
 // Listen for image requests
 app.get('/image.svg', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('image.svg', req, true)
+  try {
+    session.requestlog('image.svg', req, true)
 
-  let teamId = 'MILB'
-  if ( req.query.teamId ) {
-    teamId = req.query.teamId
-  }
+    let teamId = 'MILB'
+    if ( req.query.teamId ) {
+      teamId = req.query.teamId
+    }
 
-  var body = await session.getImage(teamId)
+    var body = await session.getImage(teamId)
 
-  res.writeHead(200, {'Content-Type': 'image/svg+xml'})
-  res.end(body)
+    res.writeHead(200, {'Content-Type': 'image/svg+xml'})
+    res.end(body)
+  } catch (e) {
+    session.log('image.svg request error : ' + e.message)
+    respond_error(res, e)
+  }
 })
 
 // Listen for favicon requests
 app.get('/favicon.svg', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
-  session.requestlog('favicon.svg', req, true)
+  try {
+    session.requestlog('favicon.svg', req, true)
 
-  var body = await session.getImage('MILB')
+    var body = await session.getImage('MILB')
 
-  res.writeHead(200, {'Content-Type': 'image/svg+xml'})
-  res.end(body)
+    res.writeHead(200, {'Content-Type': 'image/svg+xml'})
+    res.end(body)
+  } catch (e) {
+    session.log('favicon.svg request error : ' + e.message)
+    respond_error(res, e)
+  }
 })
 
-// Listen for multiview requests
+// Listen for token status requests: whether the login tokens are valid, when they expire, and how background renewal is going
+app.get('/tokens/status.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('tokens/status.json', req, true)
+
+  res.writeHead(200, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify(Object.assign({ success: true }, session.getTokenStatus())))
+})
+
+// Listen for multiview requests: start (or restart) a multiview session with the specified streams, or stop it if none are specified
 app.get('/multiview', async function(req, res) {
   if ( ! (await protect(req, res)) ) return
 
   try {
     session.requestlog('multiview', req)
 
+    let name = get_multiview_session_name(req.query.name)
+    if ( !name ) return res.end('invalid multiview session name (use letters, numbers, dashes, and underscores)')
+
+    if ( req.query.preset ) {
+      let options = await get_multiview_preset_options(req.query.preset, 'http://' + req.headers.host)
+      if ( typeof options === 'string' ) return res.end(options)
+      res.end(await start_multiview_session(name, options, stop_multiview_session(name)))
+      return
+    }
+
+    let stopped = stop_multiview_session(name)
+
+    if ( req.query.streams ) {
+      res.end(await start_multiview_session(name, get_multiview_options(req.query), stopped))
+    } else {
+      res.end('stopped')
+    }
+  } catch (e) {
+    session.log('multiview request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for multiview preset list requests
+app.get('/multiview/presets.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('multiview/presets.json', req, true)
+
+  res.writeHead(200, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify(session.multiview_presets))
+})
+
+// Listen for requests to save a multiview preset, from the same parameters as a multiview request
+// Stream URLs are saved as team IDs (using the org parameter, if present, to choose between the teams in a game)
+app.get('/multiview/presets/save', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/presets/save', req)
+
+    let name = get_multiview_session_name(req.query.preset)
+    if ( !req.query.preset || !name ) return res.end('invalid preset name (use letters, numbers, dashes, and underscores)')
+    if ( !req.query.streams ) return res.end('no streams selected')
+
+    let options = get_multiview_options(req.query)
+    let streams = Array.isArray(options.streams) ? options.streams : [options.streams]
+    let preset = Object.assign({}, options)
+    delete preset.streams
+    preset.teams = []
+    for (var i=0; i<streams.length; i++) {
+      let teamId = await get_multiview_preset_team(streams[i], req.query.org)
+      if ( !teamId ) return res.end('could not find a team for stream ' + (i+1) + ', presets can only include games')
+      preset.teams.push(teamId)
+    }
+
+    session.setMultiviewPreset(name, preset)
+    res.end('saved')
+  } catch (e) {
+    session.log('multiview preset save error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for requests to delete a multiview preset
+app.get('/multiview/presets/delete', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('multiview/presets/delete', req)
+
+  session.deleteMultiviewPreset(req.query.preset)
+  res.end('deleted')
+})
+
+// Listen for multiview preset stream requests (for channels.m3u): start the preset as a session of the same name, if it isn't already running,
+// then redirect to its stream when it is ready
+app.get('/multiview/preset.m3u8', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/preset.m3u8', req)
+
+    let name = get_multiview_session_name(req.query.preset)
+    if ( !req.query.preset || !name || !session.getMultiviewPreset(name) ) {
+      res.writeHead(404, {'Content-Type': 'text/plain'})
+      return res.end('multiview preset not found')
+    }
+
+    if ( !multiview_sessions[name] || (get_multiview_session_status(name) == 'stopped') ) {
+      let options = await get_multiview_preset_options(name, 'http://' + req.headers.host)
+      let result = (typeof options === 'string') ? options : await start_multiview_session(name, options, false)
+      if ( result != 'started' ) {
+        session.log('multiview preset ' + name + ' not started : ' + result)
+        res.writeHead(503, {'Content-Type': 'text/plain'})
+        return res.end(result)
+      }
+    }
+
+    let master_playlist = path.join(get_multiview_session_directory(name), multiview_stream_name)
+    for (var i=0; (i<MULTIVIEW_PRESET_WAIT_SECONDS) && !fs.existsSync(master_playlist); i++) {
+      await new Promise(resolve => setTimeout(resolve, 1000))
+    }
+
+    let multiview_server = 'http://' + req.headers.host.replace(':' + session.data.port, ':' + session.data.multiviewPort)
+    res.writeHead(302, { 'Location': multiview_server + get_multiview_url_path(name) })
+    res.end('')
+  } catch (e) {
+    session.log('multiview preset request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for multiview session list requests
+app.get('/multiview/sessions.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('multiview/sessions.json', req, true)
+
+  let multiview_server = 'http://' + req.headers.host.replace(':' + session.data.port, ':' + session.data.multiviewPort)
+  let sessions = []
+  for (const name in multiview_sessions) {
+    sessions.push({
+      name: name,
+      status: get_multiview_session_status(name),
+      started: multiview_sessions[name].started,
+      url: multiview_server + get_multiview_url_path(name),
+      options: multiview_sessions[name].options,
+      restarts: multiview_sessions[name].restarts || []
+    })
+  }
+
+  res.writeHead(200, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify({ max_sessions: multiview_max_sessions, sessions: sessions }))
+})
+
+// Listen for multiview status requests: encoding stats for a session (the default session, if not specified)
+app.get('/multiview/status.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/status.json', req, true)
+
+    let name = get_multiview_session_name(req.query.name)
+    if ( !name ) {
+      res.writeHead(400, {'Content-Type': 'application/json'})
+      return res.end(JSON.stringify({ success: false, error: 'invalid multiview session name' }))
+    }
+
+    let status = { success: true, name: name, status: 'stopped' }
+    let multiview_session = multiview_sessions[name]
+    if ( multiview_session ) {
+      let stats = multiview_session.stats || {}
+      let segments = get_multiview_segment_stats(get_multiview_session_directory(name))
+      status.status = get_multiview_session_status(name)
+      status.inputs = multiview_session.options.streams
+      status.layout = multiview_session.options.layout
+      if ( multiview_session.status ) {
+        status.encoder = multiview_session.encoder
+        status.started = multiview_session.started
+        status.uptime = Math.round((Date.now() - multiview_session.started.getTime()) / 1000)
+        status.fps = stats.fps || 0
+        status.speed = stats.speed || 0
+        status.frames = stats.frames || 0
+        status.dropped_frames = stats.dropped_frames || 0
+      }
+      if ( multiview_session.featured ) {
+        status.featured = { stream: multiview_session.featured.stream, scores: multiview_session.featured.scores }
+      }
+      if ( multiview_session.last_request ) status.last_request = new Date(multiview_session.last_request)
+      if ( multiview_session.idle_stopped ) status.idle_stopped = multiview_session.idle_stopped
+      status.segment_count = segments.count
+      status.disk_usage = segments.size
+      status.restarts = multiview_session.restarts || []
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(status))
+  } catch (e) {
+    session.log('multiview status request error : ' + e.message)
+    respond_error(res, e, true)
+  }
+})
+
+// Listen for multiview session stop requests
+app.get('/multiview/stop', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/stop', req)
+
+    let name = get_multiview_session_name(req.query.name)
+    if ( !name || !multiview_sessions[name] ) return res.end('multiview session not found')
+
+    stop_multiview_session(name)
+    res.end('stopped')
+  } catch (e) {
+    session.log('multiview stop request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for multiview session restart requests, using the options it was last started with
+app.get('/multiview/restart', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/restart', req)
+
+    let name = get_multiview_session_name(req.query.name)
+    if ( !name || !multiview_sessions[name] ) return res.end('multiview session not found')
+
+    let stopped = stop_multiview_session(name)
+    res.end(await start_multiview_session(name, multiview_sessions[name].options, stopped))
+  } catch (e) {
+    session.log('multiview restart request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for encoder detection requests: benchmark the H.264 encoders available to ffmpeg, and save the fastest if save=true
+app.get('/multiview/encoders.json', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('multiview/encoders.json', req)
+
+    let detection = await detect_encoders(req.query.save == 'true')
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(detection))
+  } catch (e) {
+    session.log('encoder detection request error : ' + e.message)
+    respond_error(res, e, true)
+  }
+})
+
+// Output options for an encoder: the ones saved with it by encoder detection, or the known ones
+function get_encoder_options(encoder) {
+  if ( (encoder == session.data.ffmpegEncoder) && session.data.ffmpegEncoderOptions ) return session.data.ffmpegEncoderOptions
+  return H264_ENCODERS[encoder] || []
+}
+
+// Benchmark each H.264 encoder available to ffmpeg, recommend the fastest working one, and save it if requested
+// (only one detection runs at a time, since running them side by side would skew the results)
+async function detect_encoders(save) {
+  if ( !encoder_detection ) {
+    encoder_detection = benchmark_encoders().finally(function() {
+      encoder_detection = null
+    })
+  }
+  let results = await encoder_detection
+
+  let detection = { success: true, current: ffmpegEncoder, results: results, recommended: false, saved: false }
+  for (var i = 0; i < results.length; i++) {
+    if ( results[i].working ) {
+      detection.recommended = results[i].encoder
+      break
+    }
+  }
+  if ( save && detection.recommended ) {
+    session.setFfmpegEncoder(detection.recommended, H264_ENCODERS[detection.recommended])
+    if ( !argv.ffmpeg_encoder ) ffmpegEncoder = detection.recommended
+    detection.saved = true
+    session.log('saved multiview encoder ' + detection.recommended)
+  }
+  return detection
+}
+
+// Benchmark the available H.264 encoders one at a time, fastest first
+async function benchmark_encoders() {
+  let available = await new Promise(function(resolve, reject) {
+    ffmpeg.getAvailableEncoders(function(err, encoders) {
+      if ( err ) return reject(err)
+      resolve(encoders)
+    })
+  })
+
+  let results = []
+  for (const encoder in H264_ENCODERS) {
+    if ( !available[encoder] ) continue
+    session.log('benchmarking encoder ' + encoder)
+    results.push(await benchmark_encoder(encoder))
+  }
+  // Stable sort, so equally fast encoders keep their order of preference
+  results.sort(function(a, b) {
+    return b.fps - a.fps
+  })
+  return results
+}
+
+// Encode a generated test pattern (no network needed) with an encoder at the full multiview bitrate, and report the frames per second it reached
+function benchmark_encoder(encoder) {
+  return new Promise(function(resolve) {
+    let result = { encoder: encoder, options: H264_ENCODERS[encoder], working: false, fps: 0 }
+    let started = Date.now()
+    let bandwidth = get_multiview_bitrate(VALID_MULTIVIEW_LAYOUTS[0], MULTIVIEW_MAX_STREAMS)
+
+    let ffmpeg_command = ffmpeg({ timeout: ENCODER_BENCHMARK_SECONDS * 6 })
+    .input('testsrc2=size=1920x1080:rate=30')
+    .inputFormat('lavfi')
+    .addOutputOption('-t', ENCODER_BENCHMARK_SECONDS.toString())
+    .addOutputOption('-c:v', encoder)
+    .addOutputOption('-pix_fmt:v', 'yuv420p')
+    .addOutputOption('-b:v', bandwidth.toString() + 'k')
+    for (var i = 0; i < result.options.length; i++) {
+      ffmpeg_command.addOutputOption(result.options[i][0], result.options[i][1])
+    }
+    ffmpeg_command.addOutputOption('-f', 'null')
+    .output('-')
+    .on('start', function(commandLine) {
+      session.debuglog('encoder benchmark command : ' + commandLine)
+      started = Date.now()
+    })
+    .on('end', function() {
+      let seconds = (Date.now() - started) / 1000
+      result.working = true
+      result.fps = Math.round(ENCODER_BENCHMARK_SECONDS * 30 / seconds)
+      resolve(result)
+    })
+    .on('error', function(err) {
+      result.error = err.message.split('\n')[0]
+      session.debuglog('encoder ' + encoder + ' benchmark error : ' + err.message)
+      resolve(result)
+    })
+    .run()
+  })
+}
+
+// Validate a multiview session name (which is also its folder name), defaulting to the default session
+function get_multiview_session_name(name) {
+  if ( !name ) return DEFAULT_MULTIVIEW_SESSION
+  if ( /^[A-Za-z0-9_-]{1,32}$/.test(name) ) return name
+  return false
+}
+
+function get_multiview_session_directory(name) {
+  if ( name == DEFAULT_MULTIVIEW_SESSION ) return session.get_multiview_directory()
+  return path.join(session.get_multiview_directory(), name)
+}
+
+function get_multiview_url_path(name) {
+  if ( name == DEFAULT_MULTIVIEW_SESSION ) return multiview_url_path
+  let url_path = '/' + hls_base + '/' + name + '/' + multiview_stream_name
+  if ( session.protection.content_protect ) url_path += '?content_protect=' + session.protection.content_protect
+  return url_path
+}
+
+// Get the team ID to save in a multiview preset for one of our stream URLs: its teamId,
+// or for a gamePk, the team in the specified org (or the home team)
+async function get_multiview_preset_team(stream, org) {
+  let stream_url = url.parse(stream, true)
+  if ( stream_url.query.teamId ) return decodeURIComponent(stream_url.query.teamId)
+
+  let gamePk = await get_multiview_stream_gamePk(stream)
+  if ( !gamePk ) return
+  let cache_data = await session.getGamedayData(gamePk)
+  if ( !cache_data || !cache_data.gameData || !cache_data.gameData.teams ) return
+
+  let teams = cache_data.gameData.teams
+  if ( org && AFFILIATES[org] && AFFILIATES[org].split(',').includes(teams.away.id.toString()) ) {
+    return teams.away.id.toString()
+  }
+  return teams.home.id.toString()
+}
+
+// Build multiview options from a saved preset, using today's game for each of its teams
+// Returns an error message string if it can't be started
+async function get_multiview_preset_options(preset_name, server) {
+  let preset = session.getMultiviewPreset(preset_name)
+  if ( !preset ) return 'multiview preset not found'
+
+  let query = Object.assign({}, preset, { streams: [], sync: [] })
+  let sync = Array.isArray(preset.sync) ? preset.sync : [preset.sync]
+  for (var i=0; i<preset.teams.length; i++) {
+    let gamePk = await session.getGamePk(preset.teams[i])
+    if ( !gamePk ) {
+      session.log('multiview preset ' + preset_name + ' : no game available today for team ' + preset.teams[i])
+      continue
+    }
+    let stream = server + '/stream.m3u8?gamePk=' + gamePk + '&resolution=' + DEFAULT_MULTIVIEW_RESOLUTION
+    if ( session.protection.content_protect ) stream += '&content_protect=' + session.protection.content_protect
+    query.streams.push(stream)
+    query.sync.push(sync[i] || '0')
+  }
+  if ( query.streams.length == 0 ) return 'no games available today for multiview preset ' + preset_name
+
+  return get_multiview_options(query)
+}
+
+// Tile positions and sizes for a multiview layout, on a canvas of up to 1920x1080
+function get_multiview_tiles(layout, count) {
+  let tiles = []
+  if ( layout == 'pip' ) {
+    // full size main stream, with insets along the bottom from the right
+    tiles.push({ x: 0, y: 0, w: 1920, h: 1080 })
+    for (var i=1; i<count; i++) {
+      tiles.push({ x: 1920 - (i * (480 + 32)), y: 1080 - 270 - 32, w: 480, h: 270 })
+    }
+  } else if ( layout == '1+3' ) {
+    // large main stream, with the others stacked to its right
+    tiles.push({ x: 0, y: 0, w: 1280, h: 720 })
+    for (var i=1; i<count; i++) {
+      tiles.push({ x: 1280, y: (i-1) * 360, w: 640, h: 360 })
+    }
+  } else {
+    // grids fill rows of 2 (up to 4 streams, or 2x1) or 3 (3x3, or more than 4 streams)
+    let columns = ((layout == '3x3') || (count > 4)) ? 3 : 2
+    let w = 1920 / columns
+    let h = 1080 / columns
+    for (var i=0; i<count; i++) {
+      tiles.push({ x: (i % columns) * w, y: Math.floor(i / columns) * h, w: w, h: h })
+    }
+  }
+  return tiles
+}
+
+function get_multiview_bitrate(layout, count) {
+  // the default grid switches to 3x3 above 4 streams
+  if ( (layout == VALID_MULTIVIEW_LAYOUTS[0]) && (count > 4) ) layout = '3x3'
+  return MULTIVIEW_LAYOUTS[layout].bitrate || (MULTIVIEW_LAYOUTS[layout].tile_bitrate * count)
+}
+
+// Parse multiview options from request parameters
+function get_multiview_options(query) {
+  let options = {}
+  options.streams = query.streams
+  options.sync = query.sync || []
+  options.dvr = query.dvr || false
+  options.faster = query.faster || false
+  if ( options.faster ) options.dvr = true
+  options.reencode = query.reencode || false
+  // a + in the layout name comes through as a space, if it wasn't encoded
+  options.layout = session.returnValidItem((query.layout || '').replace(' ', '+'), VALID_MULTIVIEW_LAYOUTS)
+  options.featured = query.featured || false
+  // player IDs of prospects, to favor their games when they are at bat
+  options.prospects = []
+  if ( query.prospects ) {
+    options.prospects = String(query.prospects).split(',').map(x => parseInt(x)).filter(x => x)
+  }
+  options.labels = query.labels || false
+  options.label_score = query.label_score || false
+  if ( options.label_score ) options.labels = true
+  options.label_position = session.returnValidItem(query.label_position, VALID_MULTIVIEW_LABEL_POSITIONS)
+  options.label_size = parseInt(query.label_size) || DEFAULT_MULTIVIEW_LABEL_SIZE
+  options.label_score_delay = DEFAULT_MULTIVIEW_SCORE_DELAY
+  if ( query.label_score_delay !== undefined ) options.label_score_delay = parseInt(query.label_score_delay) || 0
+  // a request's spoiler-free override, kept with the options so restarts and presets use it too
+  if ( VALID_SPOILER_FREE.includes(query.spoiler_free) ) options.spoiler_free = query.spoiler_free
+  // archive games can all start at the same half inning (or the first pitch), instead of the start of each broadcast
+  options.inning_half = session.returnValidItem(query.inning_half, VALID_INNING_HALF)
+  options.inning_number = session.returnValidItem(query.inning_number, VALID_INNING_NUMBER)
+  options.first_pitch = query.first_pitch || false
+  options.audio_url = false
+  if ( query.audio_url && (query.audio_url != '') ) {
+    options.audio_url = query.audio_url
+  }
+  options.audio_url_seek = false
+  if ( query.audio_url_seek && (query.audio_url_seek != '0') ) {
+    options.audio_url_seek = query.audio_url_seek
+  }
+  return options
+}
+
+// Count the multiview sessions currently encoding (or waiting to restart), other than the specified one
+function count_multiview_sessions(except_name) {
+  let count = 0
+  for (const name in multiview_sessions) {
+    if ( (name != except_name) && (multiview_sessions[name].command || multiview_sessions[name].restart_timer || multiview_sessions[name].starting) ) count++
+  }
+  return count
+}
+
+function get_multiview_session_status(name) {
+  let multiview_session = multiview_sessions[name]
+  if ( multiview_session.restart_timer ) return 'restarting'
+  return multiview_session.status ? 'started' : 'stopped'
+}
+
+// Count a multiview session's video segments, their most recent modification time, and the disk space used by all its files
+function get_multiview_segment_stats(directory) {
+  let stats = { count: 0, last_modified: 0, size: 0 }
+  try {
+    let files = fs.readdirSync(directory, { withFileTypes: true })
+    for (const file of files) {
+      if ( !file.isFile() ) continue
+      let file_stats = fs.statSync(path.join(directory, file.name))
+      stats.size += file_stats.size
+      if ( file.name.endsWith('.ts') ) {
+        stats.count++
+        stats.last_modified = Math.max(stats.last_modified, file_stats.mtimeMs)
+      }
+    }
+  } catch (e) {
+    session.debuglog('multiview segment check error : ' + e.message)
+  }
+  return stats
+}
+
+// Watchdog: stop any multiview session no one is watching, and restart any whose encoding has stopped making progress or producing segments
+function check_multiview_sessions() {
+  let now = Date.now()
+  let stall_ms = multiview_stall_seconds * 1000
+  for (const name in multiview_sessions) {
+    let multiview_session = multiview_sessions[name]
+    if ( !multiview_session.command || !multiview_session.status || !multiview_session.started ) continue
+
+    let started = multiview_session.started.getTime()
+
+    // Stop it if no one has requested its stream for a while
+    let last_request = Math.max(multiview_session.last_request || 0, started)
+    if ( (multiview_idle_minutes > 0) && ((now - last_request) > (multiview_idle_minutes * 60 * 1000)) ) {
+      session.log('multiview session ' + name + ' has had no requests for ' + multiview_idle_minutes + ' minutes, stopping it')
+      stop_multiview_session(name)
+      multiview_session.idle_stopped = new Date()
+      continue
+    }
+
+    if ( multiview_stall_seconds <= 0 ) continue
+    let last_progress = multiview_session.progress_time || started
+    let last_segment = Math.max(get_multiview_segment_stats(get_multiview_session_directory(name)).last_modified, started)
+
+    if ( (now - last_progress) > stall_ms ) {
+      restart_stalled_multiview_session(name, 'no encoding progress for ' + Math.round((now - last_progress) / 1000) + ' seconds')
+    } else if ( (now - last_segment) > stall_ms ) {
+      restart_stalled_multiview_session(name, 'no new segments for ' + Math.round((now - last_segment) / 1000) + ' seconds')
+    } else if ( multiview_session.restart_attempts && ((now - started) > (MULTIVIEW_RECOVERED_SECONDS * 1000)) ) {
+      session.log('multiview session ' + name + ' recovered after ' + multiview_session.restart_attempts + ' restart(s)')
+      multiview_session.restart_attempts = 0
+    }
+  }
+}
+
+// Get the gamePks of a multiview session's inputs, resolved once per start since it may need a schedule lookup
+async function get_multiview_gamePks(multiview_session) {
+  if ( !multiview_session.gamePks ) {
+    let streams = multiview_session.options.streams
+    if ( !Array.isArray(streams) ) streams = [streams]
+    let gamePks = []
+    let failed = false
+    for (var i=0; i<streams.length; i++) {
+      try {
+        gamePks.push(await get_multiview_stream_gamePk(streams[i]))
+      } catch (e) {
+        // treat it as a non-game input for now, and look it up again next time
+        session.log('multiview input ' + (i+1) + ' game lookup error : ' + e.message)
+        gamePks.push(undefined)
+        failed = true
+      }
+    }
+    if ( failed ) return gamePks
+    multiview_session.gamePks = gamePks
+  }
+  return multiview_session.gamePks
+}
+
+// Check the games in multiview sessions which use featured game switching or score labels
+async function check_multiview_games() {
+  for (const name in multiview_sessions) {
+    let multiview_session = multiview_sessions[name]
+    let featured = multiview_session.featured
+    let score_labels = multiview_session.score_labels
+    if ( !multiview_session.status || (!featured && !score_labels) ) continue
+
+    try {
+      let gamePks = await get_multiview_gamePks(multiview_session)
+      let games = []
+      for (var i=0; i<gamePks.length; i++) {
+        if ( !gamePks[i] ) {
+          games.push(null)
+          continue
+        }
+        // live games need fresher data than the usual gameday cache
+        if ( multiview_session.live[i] !== false ) session.expireGamedayCache(gamePks[i])
+        let cache_data = await session.getGamedayData(gamePks[i])
+        multiview_session.live[i] = !!(cache_data && (cache_data.gameData.status.abstractGameState == 'Live'))
+        games.push(cache_data)
+      }
+
+      // the session may have been stopped or restarted while we were checking
+      if ( featured && (multiview_session.featured === featured) ) update_multiview_featured_game(name, multiview_session, games)
+      if ( score_labels && (multiview_session.score_labels === score_labels) ) update_multiview_score_labels(multiview_session, games)
+    } catch (e) {
+      session.log('multiview games check error : ' + e.message)
+    }
+  }
+}
+
+// Featured game switching: score the situation in each game of a multiview session, and move the best one into the first (largest) tile
+// A different game must lead by a margin for consecutive checks, and the current one must have been featured for a minimum time, so it doesn't flip back and forth
+function update_multiview_featured_game(name, multiview_session, games) {
+  let featured = multiview_session.featured
+  let scores = []
+  for (var i=0; i<featured.stream_count; i++) {
+    scores.push(games[i] ? session.getGameSituationScore(games[i], multiview_session.options.prospects) : -1)
+  }
+  featured.scores = scores
+
+  let best = scores.indexOf(Math.max(...scores))
+  if ( (best == featured.stream) || (scores[best] < (scores[featured.stream] + MULTIVIEW_FEATURED_SCORE_MARGIN)) ) {
+    featured.candidate = null
+    return
+  }
+  if ( featured.candidate === best ) {
+    featured.candidate_checks++
+  } else {
+    featured.candidate = best
+    featured.candidate_checks = 1
+  }
+  if ( (featured.candidate_checks >= MULTIVIEW_FEATURED_CHECKS) && ((Date.now() - featured.switched) >= (MULTIVIEW_FEATURED_MIN_SECONDS * 1000)) ) {
+    session.log('multiview session ' + name + ' featuring stream ' + (best+1) + ' (score ' + scores[best] + ' vs ' + scores[featured.stream] + ')')
+    switch_multiview_featured_game(multiview_session, best)
+  }
+}
+
+// Team labels for a multiview session's inputs, like "AWY @ HOM" (blank for inputs which aren't games)
+async function get_multiview_labels(multiview_session) {
+  let gamePks = await get_multiview_gamePks(multiview_session)
+  let labels = []
+  for (var i=0; i<gamePks.length; i++) {
+    let label = ''
+    if ( gamePks[i] ) {
+      try {
+        let cache_data = await session.getGamedayData(gamePks[i])
+        if ( cache_data && cache_data.gameData && cache_data.gameData.teams ) {
+          label = cache_data.gameData.teams.away.abbreviation + ' @ ' + cache_data.gameData.teams.home.abbreviation
+        }
+      } catch (e) {
+        session.log('multiview label error for ' + gamePks[i] + ' : ' + e.message)
+      }
+    }
+    labels.push(label)
+  }
+  return labels
+}
+
+// Add the score and inning to a team label, like "AWY 3 @ HOM 2  T5"
+// (a final score only for a game which was followed while live, so an archive game doesn't show its result)
+function get_multiview_score_label(cache_data, followed_live) {
+  let teams = cache_data.gameData.teams
+  let linescore = cache_data.liveData.linescore
+  let status = cache_data.gameData.status.abstractGameState
+  if ( !linescore || !linescore.teams || ((status != 'Live') && ((status != 'Final') || !followed_live)) ) {
+    return teams.away.abbreviation + ' @ ' + teams.home.abbreviation
+  }
+  let label = teams.away.abbreviation + ' ' + (linescore.teams.away.runs || 0) + ' @ ' + teams.home.abbreviation + ' ' + (linescore.teams.home.runs || 0) + '  '
+  if ( status == 'Final' ) {
+    label += 'F'
+  } else {
+    // T(op), M(iddle), B(ottom), or E(nd) of the inning
+    label += (linescore.inningState || 'T').charAt(0) + linescore.currentInning
+  }
+  return label
+}
+
+// Score labels: remember each game's score label as it changes, and show the newest one which is at least the delay old
+function update_multiview_score_labels(multiview_session, games) {
+  let score_labels = multiview_session.score_labels
+  let now = Date.now()
+  for (var i=0; i<score_labels.files.length; i++) {
+    if ( !score_labels.files[i] || !games[i] ) continue
+
+    let history = score_labels.history[i]
+    if ( games[i].gameData.status.abstractGameState == 'Live' ) score_labels.followed_live[i] = true
+    let label = get_multiview_score_label(games[i], score_labels.followed_live[i])
+    if ( (history.length == 0) || (history[history.length-1].label != label) ) history.push({ time: now, label: label })
+
+    let shown
+    while ( (history.length > 0) && (history[0].time <= (now - score_labels.delay * 1000)) ) {
+      shown = history.shift()
+    }
+    if ( shown ) {
+      // keep it as the oldest entry, in case nothing newer is old enough by the next check
+      history.unshift(shown)
+      if ( shown.label != score_labels.shown[i] ) {
+        write_multiview_label(score_labels.files[i], shown.label)
+        score_labels.shown[i] = shown.label
+      }
+    }
+  }
+}
+
+// Write a label file for drawtext to read (via a temporary file, so it never reads a partial one)
+function write_multiview_label(file, label) {
+  try {
+    fs.writeFileSync(file + '.tmp', label)
+    fs.renameSync(file + '.tmp', file)
+  } catch (e) {
+    session.log('multiview label error : ' + e.message)
+  }
+}
+
+// Escape a file path for use as a filter option in a complex filter graph
+function escape_filter_path(file) {
+  return file.replace(/\\/g, '/').replace(/:/g, '\\\\:').replace(/'/g, "\\\\'")
+}
+
+// drawtext filter for a tile label, sized and positioned relative to the tile
+function get_multiview_label_filter(options, file, tile, reload) {
+  let scale = tile.h / 540
+  let margin = Math.round(12 * scale)
+  let position = options.label_position.split('-')
+  let x = (position[1] == 'right') ? ('w-tw-' + margin) : margin
+  let y = (position[0] == 'bottom') ? ('h-th-' + margin) : margin
+  let filter = 'drawtext='
+  if ( argv.multiview_fontfile ) filter += 'fontfile=' + escape_filter_path(argv.multiview_fontfile) + ':'
+  filter += 'textfile=' + escape_filter_path(file) + ':reload=' + (reload ? '1' : '0') + ':fontsize=' + Math.round(options.label_size * scale) + ':fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=' + Math.round(6 * scale) + ':x=' + x + ':y=' + y
+  return filter
+}
+
+// Remap a running multiview's stream selectors, so the featured stream fills the first tile and provides the default audio,
+// with the other streams following in their original order
+function switch_multiview_featured_game(multiview_session, stream) {
+  let featured = multiview_session.featured
+  let map = [stream]
+  for (var i=0; i<featured.stream_count; i++) {
+    if ( i != stream ) map.push(i)
+  }
+  send_multiview_command(multiview_session, 'streamselect@featured', 'map', map.join(' '))
+  if ( featured.audio_inputs.includes(stream) ) {
+    send_multiview_command(multiview_session, 'astreamselect@featured_audio', 'map', featured.audio_inputs.indexOf(stream))
+  }
+  featured.stream = stream
+  featured.switched = Date.now()
+  featured.candidate = null
+}
+
+// Send a command to a filter in a running multiview's ffmpeg, through its interactive input
+function send_multiview_command(multiview_session, target, command, arg) {
+  let ffmpeg_process = multiview_session.command && multiview_session.command.ffmpegProc
+  if ( !ffmpeg_process || !ffmpeg_process.stdin || !ffmpeg_process.stdin.writable ) {
+    session.log('multiview command error : ffmpeg is not running')
+    return false
+  }
+  session.debuglog('multiview command : ' + target + ' ' + command + ' ' + arg)
+  ffmpeg_process.stdin.write('c' + target + ' -1 ' + command + ' ' + arg + "\n")
+  return true
+}
+
+// Stop a stalled or failed multiview session, and start it again with the same options after a backoff delay
+function restart_stalled_multiview_session(name, reason) {
+  let multiview_session = multiview_sessions[name]
+  if ( !multiview_session || multiview_session.restart_timer ) return
+
+  stop_multiview_session(name)
+
+  multiview_session.restart_attempts = (multiview_session.restart_attempts || 0) + 1
+  if ( !multiview_session.restarts ) multiview_session.restarts = []
+  if ( multiview_session.restart_attempts > MULTIVIEW_MAX_RESTARTS ) {
+    session.log('multiview session ' + name + ' ' + reason + ', giving up after ' + MULTIVIEW_MAX_RESTARTS + ' restarts')
+    multiview_session.restarts.push({ time: new Date(), reason: reason, attempt: multiview_session.restart_attempts, delay: false })
+    multiview_session.restart_attempts = 0
+  } else {
+    let delay = MULTIVIEW_RESTART_BACKOFF_SECONDS[Math.min(multiview_session.restart_attempts, MULTIVIEW_RESTART_BACKOFF_SECONDS.length) - 1]
+    session.log('multiview session ' + name + ' ' + reason + ', restarting in ' + delay + ' seconds (attempt ' + multiview_session.restart_attempts + ')')
+    multiview_session.restarts.push({ time: new Date(), reason: reason, attempt: multiview_session.restart_attempts, delay: delay })
+
+    multiview_session.restart_timer = setTimeout(async function() {
+      try {
+        await refresh_multiview_stream_urls(multiview_session.options)
+      } catch (e) {
+        session.log('multiview stream refresh error : ' + e.message)
+      }
+      // skip it if it was stopped or restarted manually in the meantime
+      if ( !multiview_session.restart_timer ) return
+      multiview_session.restart_timer = null
+      start_multiview_stream(name, multiview_session.options)
+    }, delay * 1000)
+  }
+
+  multiview_session.restarts = multiview_session.restarts.slice(-MULTIVIEW_RESTART_HISTORY_LENGTH)
+}
+
+// Get the gamePk of a multiview input, if it is one of our own stream URLs
+async function get_multiview_stream_gamePk(stream) {
+  let stream_url = url.parse(stream, true)
+  if ( !stream_url.pathname || !stream_url.pathname.endsWith('/stream.m3u8') ) return
+
+  let gamePk = stream_url.query.gamePk
+  if ( !gamePk && stream_url.query.teamId ) {
+    gamePk = await session.getGamePk(decodeURIComponent(stream_url.query.teamId), stream_url.query.date, stream_url.query.game)
+  }
+  return gamePk
+}
+
+// Re-resolve the upstream stream URLs behind a multiview session's inputs, so a restart doesn't reuse expired ones
+async function refresh_multiview_stream_urls(options) {
+  let streams = options.streams
+  if ( !Array.isArray(streams) ) streams = [streams]
+  for (var i=0; i<streams.length; i++) {
+    let gamePk = await get_multiview_stream_gamePk(streams[i])
+    if ( gamePk ) {
+      session.debuglog('refreshing multiview streamURL for ' + gamePk)
+      session.clearCachedStreamURL(gamePk)
+      await session.getStreamURL(gamePk)
+    }
+  }
+}
+
+// Get the seek offset of each multiview input, so archive games all start at the requested half inning (or the first pitch)
+async function get_multiview_seek_offsets(multiview_session) {
+  let options = multiview_session.options
+  let streams = options.streams
+  if ( !Array.isArray(streams) ) streams = [streams]
+  let gamePks = await get_multiview_gamePks(multiview_session)
+  let seek_offsets = []
+  for (var i=0; i<gamePks.length; i++) {
+    let seek_offset = 0
+    let stream_query = url.parse(streams[i], true).query
+    if ( !gamePks[i] ) {
+      session.log('multiview input ' + (i+1) + ' is not a game stream, so it will start from the beginning')
+    } else if ( stream_query.inning_half || stream_query.inning_number || stream_query.skip || stream_query.player ) {
+      // those streams don't follow the broadcast's timeline, so an offset from the broadcast start would be wrong
+      session.log('multiview input ' + (i+1) + ' already starts at its own inning or skips part of the game, so it will not be synced')
+    } else {
+      seek_offset = await get_multiview_seek_offset(gamePks[i], options)
+    }
+    seek_offsets.push(seek_offset)
+  }
+  return seek_offsets
+}
+
+// Get the seconds into an archive game's broadcast where the requested half inning (or the first pitch) starts,
+// or the last half inning before it, if the game ended first
+async function get_multiview_seek_offset(gamePk, options) {
+  try {
+    let cache_data = await session.getGamedayData(gamePk)
+    if ( !cache_data || !cache_data.gameData || !cache_data.gameData.status || (cache_data.gameData.status.abstractGameState != 'Final') ) {
+      session.log('multiview game ' + gamePk + ' is not an archive game, so it will not be synced')
+      return 0
+    }
+
+    let streamURL = await session.getStreamURL(gamePk)
+    if ( !streamURL || !(await session.getBroadcastStart(streamURL, gamePk)) ) {
+      session.log('multiview game ' + gamePk + ' broadcast start not found, so it will not be synced')
+      return 0
+    }
+    let inning_markers = (await session.getInningMarkers(gamePk)) || []
+
+    // compare half innings by position in the game, where the first pitch comes before the top of the 1st
+    let inning_number = options.first_pitch ? 0 : parseInt(options.inning_number)
+    let target = (inning_number * 2) + ((options.inning_half == 'bottom') ? 1 : 0)
+    let marker = inning_markers[0]
+    for (var i=1; i<inning_markers.length; i++) {
+      if ( ((inning_markers[i].inning * 2) + ((inning_markers[i].inning_half == 'bottom') ? 1 : 0)) > target ) break
+      marker = inning_markers[i]
+    }
+    if ( !marker ) {
+      session.log('multiview game ' + gamePk + ' has no play data, so it will not be synced')
+      return 0
+    }
+
+    session.debuglog('multiview game ' + gamePk + ' synced to ' + marker.title + ' at ' + marker.start + ' seconds')
+    return Math.max(0, marker.start)
+  } catch (e) {
+    session.log('multiview seek offset error for game ' + gamePk + ' : ' + e.message)
+    return 0
+  }
+}
+
+// Stop a multiview session's encode and clear its files, keeping its options for a restart
+// Returns true if it was running
+function stop_multiview_session(name) {
+  let multiview_session = multiview_sessions[name]
+  if ( multiview_session && multiview_session.restart_timer ) {
+    clearTimeout(multiview_session.restart_timer)
+    multiview_session.restart_timer = null
+  }
+  if ( multiview_session && multiview_session.command ) {
+    // clear it first, so its error handler knows it was stopped on purpose
+    let ffmpeg_command = multiview_session.command
+    multiview_session.command = null
     try {
       ffmpeg_command.kill()
-      session.clear_multiview_files()
     } catch (e) {
-      //session.debuglog('error killing multiview command:' + e.message)
+      session.debuglog('error killing multiview command : ' + e.message)
     }
+    multiview_session.status = false
+    multiview_session.featured = null
+    multiview_session.score_labels = null
+    session.clear_multiview_files(get_multiview_session_directory(name))
+    session.log('multiview session ' + name + ' stopped')
+    return true
+  }
+  return false
+}
 
-    if ( req.query.streams ) {
-      let sync = []
-      if ( req.query.sync ) {
-        sync = req.query.sync
-      }
-      let dvr = false
-      if ( req.query.dvr ) {
-        dvr = req.query.dvr
-      }
-      let faster = false
-      if ( req.query.faster ) {
-        faster = req.query.faster
-        dvr = true
-      }
-      let reencode = false
-      if ( req.query.reencode ) {
-        reencode = req.query.reencode
-      }
-      let audio_url = false
-      if ( req.query.audio_url && (req.query.audio_url != '') ) {
-        audio_url = req.query.audio_url
-      }
-      let audio_url_seek = false
-      if ( req.query.audio_url_seek && (req.query.audio_url_seek != '0') ) {
-        audio_url_seek = req.query.audio_url_seek
-      }
-      // Wait to restart it
-      setTimeout(function() {
-        res.end(start_multiview_stream(req.query.streams, sync, dvr, faster, reencode, audio_url, audio_url_seek))
-      }, 5000)
-    } else {
-      res.end('stopped')
+// Start a multiview session, if it doesn't exceed the session limit
+// (waiting for a moment first, if it was just stopped)
+async function start_multiview_session(name, options, wait) {
+  if ( count_multiview_sessions(name) >= multiview_max_sessions ) {
+    return 'multiview is limited to ' + multiview_max_sessions + ' session(s) at once, stop another session first'
+  }
+
+  if ( !multiview_sessions[name] ) multiview_sessions[name] = { status: false, command: null, restarts: [] }
+  // Reserve its place in the session limit while it starts, so concurrent starts can't both get past the check
+  multiview_sessions[name].starting = true
+  try {
+    multiview_sessions[name].options = options
+    multiview_sessions[name].restart_attempts = 0
+    multiview_sessions[name].last_request = null
+    multiview_sessions[name].idle_stopped = null
+    multiview_sessions[name].gamePks = null
+    multiview_sessions[name].live = []
+    multiview_sessions[name].labels = []
+    if ( options.labels ) {
+      multiview_sessions[name].labels = await get_multiview_labels(multiview_sessions[name])
     }
-  } catch (e) {
-    session.log('multiview request error : ' + e.message)
-    res.end('multiview request error, check log')
+    multiview_sessions[name].seek_offsets = []
+    if ( options.first_pitch || options.inning_number ) {
+      multiview_sessions[name].seek_offsets = await get_multiview_seek_offsets(multiview_sessions[name])
+    }
+
+    if ( wait ) {
+      await new Promise(resolve => setTimeout(resolve, 5000))
+    }
+
+    return start_multiview_stream(name, options)
+  } finally {
+    multiview_sessions[name].starting = false
   }
-})
+}
 
-function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url, audio_url_seek) {
+function start_multiview_stream(name, options) {
   try {
-    ffmpeg_command = ffmpeg({ timeout: 432000 })
+    let streams = options.streams
+    let sync = options.sync
+    let dvr = options.dvr
+    let faster = options.faster
+    let reencode = options.reencode
+    let audio_url = options.audio_url
+    let audio_url_seek = options.audio_url_seek
+
+    let multiview_directory = get_multiview_session_directory(name)
+    session.createDirectory(multiview_directory)
+
+    let ffmpeg_command = ffmpeg({ timeout: 432000 })
+    let multiview_session = multiview_sessions[name]
+    multiview_session.command = ffmpeg_command
 
     // If it's not already an array (only 1 parameter was passed in URL), convert it
     if ( !Array.isArray(streams) ) streams = [streams]
     if ( !Array.isArray(sync) ) sync = [sync]
-
-    // Max 4 streams
-    var stream_count = Math.min(streams.length, 4)
+    // Copy it, so the alternate audio sync isn't saved into the session options
+    sync = sync.slice()
+
+    // Max streams depends on the layout
+    let layout = options.layout || VALID_MULTIVIEW_LAYOUTS[0]
+    var stream_count = Math.min(streams.length, MULTIVIEW_LAYOUTS[layout].max_streams)
+    var tiles = get_multiview_tiles(layout, stream_count)
+    let featured = options.featured && (stream_count > 1)
+    let featured_audio_inputs = []
+
+    // Tile labels are read from files, so scores can be updated while running
+    let label_files = []
+    let score_labels = options.label_score && (stream_count > 1)
+    if ( score_labels && is_spoiler_free({ query: options }) ) {
+      session.log('multiview score labels are disabled in spoiler-free mode')
+      score_labels = false
+    }
+    let labels = multiview_session.labels || []
+    let seek_offsets = multiview_session.seek_offsets || []
+    for (var i=0; i<stream_count; i++) {
+      label_files.push(null)
+      if ( options.labels && (stream_count > 1) && labels[i] ) {
+        label_files[i] = path.join(multiview_directory, 'label_' + i + '.txt')
+        write_multiview_label(label_files[i], labels[i])
+      }
+    }
 
     var audio_present = []
     var complexFilter = []
-    var xstack_inputs = []
-    var xstack_layout = '0_0|w0_0'
+    var tile_inputs = []
     var map_audio = ''
 
     // Video
@@ -1672,17 +3345,25 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
       ffmpeg_command.input(url)
       .addInputOption('-thread_queue_size', '4096')
 
+      // Seek archive games to the synchronized start point, if requested
+      if ( seek_offsets[i] ) ffmpeg_command.addInputOption('-ss', seek_offsets[i].toString())
+
       // We'll limit our encoding to real-time as long as the "faster" box wasn't checked
       if ( !faster ) ffmpeg_command.native()
 
       // Only apply filters if more than 1 stream
+      // Scale each stream to fit its tile, padding any difference in aspect ratio
+      // (or to fit the first tile, with featured game switching, since any stream may be switched into it)
       if ( stream_count > 1 ) {
+        let tile = featured ? tiles[0] : tiles[i]
+        let filter = 'setpts=PTS-STARTPTS,scale=' + tile.w + ':' + tile.h + ':force_original_aspect_ratio=decrease,pad=' + tile.w + ':' + tile.h + ':(ow-iw)/2:(oh-ih)/2,setsar=1'
+        if ( label_files[i] ) filter += ',' + get_multiview_label_filter(options, label_files[i], tile, score_labels)
         complexFilter.push({
-          filter: 'setpts=PTS-STARTPTS',
+          filter: filter,
           inputs: i+':v:0',
           outputs: 'v'+i
         })
-        xstack_inputs.push('v'+i)
+        tile_inputs.push('v'+i)
       }
 
       // Check if audio is present
@@ -1714,14 +3395,50 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
     // Only apply filters if more than 1 stream
     if ( stream_count > 1 ) {
       video_output = 'out'
-      if ( stream_count > 2 ) xstack_layout += '|0_h0'
-      if ( stream_count > 3 ) xstack_layout += '|w0_h0'
-      complexFilter.push({
-        filter: 'xstack',
-        options: { inputs:stream_count, layout: xstack_layout, fill:'black' },
-        inputs: xstack_inputs,
-        outputs: video_output
-      })
+      if ( featured ) {
+        // A stream selector decides which stream goes in each tile, and can be remapped without restarting
+        let selected_outputs = tile_inputs.map((tile_input, i) => 's' + i)
+        complexFilter.push({
+          filter: 'streamselect@featured',
+          options: { inputs: stream_count, map: tile_inputs.map((tile_input, i) => i).join(' ') },
+          inputs: tile_inputs,
+          outputs: selected_outputs
+        })
+        tile_inputs = []
+        for (var i=0; i<stream_count; i++) {
+          if ( (tiles[i].w == tiles[0].w) && (tiles[i].h == tiles[0].h) ) {
+            tile_inputs.push(selected_outputs[i])
+          } else {
+            complexFilter.push({
+              filter: 'scale=' + tiles[i].w + ':' + tiles[i].h,
+              inputs: selected_outputs[i],
+              outputs: 't' + i
+            })
+            tile_inputs.push('t' + i)
+          }
+        }
+      }
+      if ( layout == 'pip' ) {
+        // Overlay each inset on the main stream in turn
+        let overlay_input = tile_inputs[0]
+        for (var i=1; i<stream_count; i++) {
+          let overlay_output = (i == (stream_count-1)) ? video_output : ('pip'+i)
+          complexFilter.push({
+            filter: 'overlay',
+            options: { x: tiles[i].x, y: tiles[i].y },
+            inputs: [overlay_input, tile_inputs[i]],
+            outputs: overlay_output
+          })
+          overlay_input = overlay_output
+        }
+      } else {
+        complexFilter.push({
+          filter: 'xstack',
+          options: { inputs:stream_count, layout: tiles.map(tile => tile.x + '_' + tile.y).join('|'), fill:'black' },
+          inputs: tile_inputs,
+          outputs: video_output
+        })
+      }
       video_output = '[' + video_output + ']'
     }
 
@@ -1752,6 +3469,29 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
       }
     }
 
+    // With featured game switching, an extra audio track follows the featured stream's audio
+    if ( featured ) {
+      featured_audio_inputs = audio_present.filter(x => x < stream_count)
+      if ( featured_audio_inputs.length > 1 ) {
+        for (var i=0; i<featured_audio_inputs.length; i++) {
+          complexFilter.push({
+            filter: 'aresample=async=1:first_pts=0,aformat=sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS,apad',
+            inputs: featured_audio_inputs[i] + ':m:language:en?',
+            outputs: 'fa' + i
+          })
+        }
+        complexFilter.push({
+          filter: 'astreamselect@featured_audio',
+          options: { inputs: featured_audio_inputs.length, map: 0 },
+          inputs: featured_audio_inputs.map((x, i) => 'fa' + i),
+          outputs: 'featured_audio'
+        })
+      } else {
+        featured_audio_inputs = []
+      }
+    }
+    let audio_offset = (featured_audio_inputs.length > 0) ? 1 : 0
+
     if ( complexFilter.length > 0 ) {
       ffmpeg_command.complexFilter(complexFilter)
     }
@@ -1759,6 +3499,10 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
 
     // Stream map will handle the audio track default/grouping
     var var_stream_map = 'v:0,agroup:aac'
+    if ( audio_offset ) {
+      ffmpeg_command.addOutputOption('-map', '[featured_audio]')
+      var_stream_map += ' a:0,agroup:aac,language:ENG,default:yes'
+    }
     for (var i=0; i<audio_present.length; i++) {
       if ( audio_reencoded.indexOf(audio_present[i]) > -1 ) {
         audio_output = '[out' + i + ']'
@@ -1766,8 +3510,8 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
         audio_output = audio_present[i] + ':a:0'
       }
       ffmpeg_command.addOutputOption('-map', audio_output)
-      var_stream_map += ' a:' + i + ',agroup:aac,language:ENG'
-      if ( i == 0 ) {
+      var_stream_map += ' a:' + (i + audio_offset) + ',agroup:aac,language:ENG'
+      if ( (i == 0) && !audio_offset ) {
         var_stream_map += ',default:yes'
       }
     }
@@ -1782,33 +3526,32 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
 
     if ( stream_count > 1 ) {
       // Only re-encode video if there is more than 1 video stream
-      let bandwidth = 1040 * stream_count
+      let bandwidth = get_multiview_bitrate(layout, stream_count)
       ffmpeg_command.addOutputOption('-c:v', ffmpegEncoder)
       .addOutputOption('-pix_fmt:v', 'yuv420p')
       .addOutputOption('-r:v', '30')
       .addOutputOption('-b:v', bandwidth.toString() + 'k')
+      // Add any encoder-specific options, like a faster preset to reduce CPU usage for the software encoder
+      let encoder_options = get_encoder_options(ffmpegEncoder)
+      for (var i=0; i<encoder_options.length; i++) {
+        ffmpeg_command.addOutputOption(encoder_options[i][0], encoder_options[i][1])
+      }
     } else {
       // If only 1 video stream, just copy the video without re-encoding
       ffmpeg_command.addOutputOption('-c:v', 'copy')
     }
-    if ( ffmpegEncoder == defaultEncoder ) {
-      // If using software encoder, add preset to reduce CPU usage
-      ffmpeg_command.addOutputOption('-preset:v', 'superfast')
-    } else if ( ffmpegEncoder == 'h264_v4l2m2m' ) {
-      // Otherwise if using this Linux hardware encoder, set some additional variables
-      // per https://www.willusher.io/general/2020/11/15/hw-accel-encoding-rpi4
-      ffmpeg_command.addOutputOption('-num_output_buffers', '32')
-      .addOutputOption('-num_capture_buffers', '16')
-    }
 
     // Audio again: check which audio tracks need re-encoding, and which can simply be copied
+    if ( audio_offset ) {
+      ffmpeg_command.addOutputOption('-c:a:0', 'aac')
+    }
     for (var i=0; i<audio_present.length; i++) {
       if ( audio_reencoded.indexOf(audio_present[i]) > -1 ) {
         audio_encoder = 'aac'
       } else {
         audio_encoder = 'copy'
       }
-      ffmpeg_command.addOutputOption('-c:a:' + i, audio_encoder)
+      ffmpeg_command.addOutputOption('-c:a:' + (i + audio_offset), audio_encoder)
     }
     // Drop subtitles/captions
     // End after 6 hours in case we forget to stop it manually
@@ -1826,27 +3569,62 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
     }
 
     ffmpeg_command.addOutputOption('-start_number', '1')
-    .addOutputOption('-hls_segment_filename', session.get_multiview_directory() + '/stream_%v_%d.ts')
+    .addOutputOption('-hls_segment_filename', multiview_directory + '/stream_%v_%d.ts')
     .addOutputOption('-var_stream_map', var_stream_map)
     .addOutputOption('-master_pl_name', multiview_stream_name)
     .addOutputOption('-y')
-    .output(session.get_multiview_directory() + '/stream-%v.m3u8')
+    .output(multiview_directory + '/stream-%v.m3u8')
     .on('start', function(commandLine) {
-      session.log('multiview stream started')
-      ffmpeg_status = true
+      session.log('multiview stream ' + name + ' started')
+      if ( multiview_session.command === ffmpeg_command ) {
+        multiview_session.status = true
+        multiview_session.started = new Date()
+        multiview_session.progress_time = null
+        multiview_session.progress_frames = 0
+        multiview_session.stats = {}
+        multiview_session.encoder = (stream_count > 1) ? ffmpegEncoder : 'copy'
+        multiview_session.featured = featured ? { stream: 0, stream_count: stream_count, audio_inputs: featured_audio_inputs, switched: Date.now(), candidate: null, candidate_checks: 0, scores: [] } : null
+        multiview_session.score_labels = score_labels ? { delay: options.label_score_delay, files: label_files, history: label_files.map(x => []), shown: [], followed_live: [] } : null
+      }
       if ( argv.debug || argv.ffmpeg_logging ) {
         session.log('multiview stream command: ' + commandLine)
       }
     })
+    .on('progress', function(progress) {
+      // the watchdog only counts progress if more frames were encoded
+      if ( multiview_session.command !== ffmpeg_command ) return
+      if ( progress.frames > multiview_session.progress_frames ) {
+        multiview_session.progress_frames = progress.frames
+        multiview_session.progress_time = Date.now()
+      }
+      multiview_session.stats.frames = progress.frames
+      multiview_session.stats.fps = progress.currentFps
+    })
+    .on('stderr', function(stderrLine) {
+      // speed and dropped frames aren't included in the parsed progress, so read them from ffmpeg's progress lines
+      if ( multiview_session.command !== ffmpeg_command ) return
+      let speed = stderrLine.match(/speed=\s*([\d.]+)x/)
+      if ( speed ) multiview_session.stats.speed = parseFloat(speed[1])
+      let dropped_frames = stderrLine.match(/drop=\s*(\d+)/)
+      if ( dropped_frames ) multiview_session.stats.dropped_frames = parseInt(dropped_frames[1])
+    })
     .on('error', function(err, stdout, stderr) {
-      session.log('multiview stream stopped: ' + err.message)
-      ffmpeg_status = false
+      session.log('multiview stream ' + name + ' stopped: ' + err.message)
       if ( stdout ) session.log(stdout)
       if ( stderr ) session.log(stderr)
+      // ignore the end of a command that was already stopped or replaced by a restart
+      if ( multiview_session.command === ffmpeg_command ) {
+        multiview_session.command = null
+        multiview_session.status = false
+        if ( multiview_stall_seconds > 0 ) restart_stalled_multiview_session(name, 'ffmpeg exited: ' + err.message)
+      }
     })
     .on('end', function() {
-      session.log('multiview stream ended')
-      ffmpeg_status = false
+      session.log('multiview stream ' + name + ' ended')
+      if ( multiview_session.command === ffmpeg_command ) {
+        multiview_session.command = null
+        multiview_session.status = false
+      }
     })
 
     if ( argv.ffmpeg_logging ) {
@@ -1863,6 +3641,7 @@ function start_multiview_stream(streams, sync, dvr, faster, reencode, audio_url,
     return 'started'
   } catch (e) {
     session.log('multiview start error : ' + e.message)
+    if ( multiview_sessions[name] ) multiview_sessions[name].command = null
     return 'multiview start error, check log'
   }
 }
@@ -1908,6 +3687,642 @@ app.get('/kodi.strm', async function(req, res) {
     res.end(body)
   } catch (e) {
     session.log('kodi.strm request error : ' + e.message)
-    res.end('kodi.strm request error, check log')
+    respond_error(res, e)
+  }
+})
+// Check the recording schedule, and start recording any scheduled games which are now live
+async function check_recordings() {
+  try {
+    if ( session.recordings.rules.length == 0 ) return
+
+    let schedule = await session.getRecordingSchedule()
+    if ( !schedule ) return
+
+    let currentDate = new Date()
+    for (var i = 0; i < schedule.length; i++) {
+      let gamePk = schedule[i].gamePk
+      if ( recording_commands[gamePk] || session.getRecording(gamePk) || session.isRecordingDeleted(gamePk) ) continue
+
+      // only check the media state once it's near game time, and not for long-finished games
+      let gameDate = new Date(schedule[i].gameDate)
+      let earliest = new Date(gameDate.getTime() - RECORDING_EARLY_MINUTES * 60 * 1000)
+      let latest = new Date(gameDate.getTime() + 12 * 60 * 60 * 1000)
+      if ( (currentDate < earliest) || (currentDate > latest) ) continue
+
+      let mediaState = await session.getMediaState(gamePk, schedule[i].date, schedule[i].teamId)
+      // another check may have started it in the meantime
+      if ( recording_commands[gamePk] || session.getRecording(gamePk) || session.isRecordingDeleted(gamePk) ) continue
+      if ( mediaState == 'MEDIA_ON' ) {
+        start_recording(schedule[i])
+      }
+    }
+
+    session.enforceRecordingRetention()
+  } catch (e) {
+    session.log('recording check error : ' + e.message)
+  }
+}
+
+// Record a live game to a TS file, using our own stream as input
+function start_recording(game) {
+  try {
+    let file_name = game.date + '.' + game.title.replace(/[^a-zA-Z0-9]+/g, '.') + '.' + game.gamePk
+    let ts_file = path.join(session.get_recordings_directory(), file_name + '.ts')
+
+    let content_protect_b = ''
+    if ( session.protection.content_protect ) content_protect_b = '&content_protect=' + session.protection.content_protect
+    let stream_url = 'http://127.0.0.1:' + port + '/stream.m3u8?gamePk=' + game.gamePk + '&resolution=' + (game.resolution || DEFAULT_RECORDING_RESOLUTION) + content_protect_b
+
+    session.addRecording({
+      id: game.gamePk,
+      gamePk: game.gamePk,
+      title: game.title,
+      date: game.date,
+      file: file_name + '.ts',
+      status: 'recording',
+      started: new Date()
+    })
+
+    let recording_command = ffmpeg({ timeout: 432000 })
+    recording_commands[game.gamePk] = recording_command
+
+    // Start from the beginning of the live playlist
+    // End after 6 hours in case the stream never ends
+    recording_command.input(stream_url)
+    .addInputOption('-live_start_index', '0')
+    .addOutputOption('-c', 'copy')
+    .addOutputOption('-sn')
+    .addOutputOption('-t', '6:00:00')
+    .addOutputOption('-f', 'mpegts')
+    .addOutputOption('-y')
+    .output(ts_file)
+    .on('start', function(commandLine) {
+      session.log('recording started for ' + game.title)
+      if ( argv.debug || argv.ffmpeg_logging ) {
+        session.log('recording command: ' + commandLine)
+      }
+    })
+    .on('error', function(err, stdout, stderr) {
+      session.log('recording stopped for ' + game.title + ': ' + err.message)
+      finish_recording(game.gamePk)
+    })
+    .on('end', function() {
+      session.log('recording ended for ' + game.title)
+      finish_recording(game.gamePk)
+    })
+
+    if ( argv.ffmpeg_logging ) {
+      recording_command.on('stderr', function(stderrLine) {
+        session.log(stderrLine);
+      })
+    }
+
+    recording_command.run()
+  } catch (e) {
+    session.log('recording start error : ' + e.message)
+  }
+}
+
+// Remux a finished TS recording to MP4 (without re-encoding), keeping the TS file if that fails
+function finish_recording(gamePk) {
+  delete recording_commands[gamePk]
+
+  let recording = session.getRecording(gamePk)
+  if ( !recording ) return
+
+  let ts_file = path.join(session.get_recordings_directory(), recording.file)
+  if ( !fs.existsSync(ts_file) || (fs.statSync(ts_file).size == 0) ) {
+    session.log('recording is empty for ' + recording.title)
+    session.deleteRecording(gamePk)
+    return
+  }
+
+  let mp4_name = recording.file.replace(/\.ts$/, '.mp4')
+  session.updateRecording(gamePk, { status: 'processing' })
+  let remux_command = ffmpeg(ts_file)
+  remux_commands[gamePk] = remux_command
+  remux_command.addOutputOption('-c', 'copy')
+  .addOutputOption('-bsf:a', 'aac_adtstoasc')
+  .addOutputOption('-movflags', '+faststart')
+  .addOutputOption('-f', 'mp4')
+  .addOutputOption('-y')
+  .output(path.join(session.get_recordings_directory(), mp4_name))
+  .on('error', function(err) {
+    // a deleted recording's remux was stopped on purpose, and its files are cleaned up by the delete
+    if ( remux_commands[gamePk] !== remux_command ) return
+    delete remux_commands[gamePk]
+    session.log('recording remux failed for ' + recording.title + ', keeping TS file: ' + err.message)
+    session.updateRecording(gamePk, { status: 'complete', ended: new Date() })
+  })
+  .on('end', function() {
+    if ( remux_commands[gamePk] !== remux_command ) return
+    delete remux_commands[gamePk]
+    try {
+      fs.unlinkSync(ts_file)
+    } catch (e) {
+      session.log('recording TS file cannot be deleted : ' + e.message)
+    }
+    if ( !session.getRecording(gamePk) ) return
+    session.updateRecording(gamePk, { file: mp4_name, status: 'complete', ended: new Date() })
+    session.log('recording saved to ' + mp4_name)
+    session.enforceRecordingRetention()
+  })
+  .run()
+}
+
+// Stop a recording's remux, if it is being processed, and delete the partial MP4 file
+function stop_remux(gamePk) {
+  let remux_command = remux_commands[gamePk]
+  if ( !remux_command ) return
+  delete remux_commands[gamePk]
+  remux_command.kill()
+
+  let recording = session.getRecording(gamePk)
+  if ( !recording ) return
+  try {
+    fs.unlinkSync(path.join(session.get_recordings_directory(), recording.file.replace(/\.ts$/, '.mp4')))
+  } catch (e) {
+    session.debuglog('partial recording MP4 file cannot be deleted or does not exist : ' + e.message)
+  }
+}
+
+// Respond with a local file, supporting byte range requests for seeking
+function respondFile(req, res, filePath, headers) {
+  let size = fs.statSync(filePath).size
+  headers['accept-ranges'] = 'bytes'
+  headers['access-control-allow-origin'] = '*'
+  let start = 0
+  let end = size - 1
+  let statusCode = 200
+  let parsed = req.headers.range && req.headers.range.match(/^bytes=(\d*)-(\d*)$/)
+  if ( parsed && (parsed[1] || parsed[2]) ) {
+    if ( parsed[1] == '' ) {
+      start = Math.max(size - parseInt(parsed[2]), 0)
+    } else {
+      start = parseInt(parsed[1])
+      if ( parsed[2] != '' ) end = Math.min(parseInt(parsed[2]), end)
+    }
+    if ( start > end ) {
+      headers['content-range'] = 'bytes */' + size
+      res.writeHead(416, headers)
+      return res.end()
+    }
+    statusCode = 206
+    headers['content-range'] = 'bytes ' + start + '-' + end + '/' + size
+  }
+  headers['content-length'] = end - start + 1
+  res.writeHead(statusCode, headers)
+  fs.createReadStream(filePath, { start: start, end: end }).pipe(res)
+}
+
+// Get the recording library with play and download URLs, for the recordings page and JSON API
+function get_recordings_list(content_protect_b) {
+  return session.recordings.library.map(function(recording) {
+    let item = Object.assign({}, recording)
+    item.size = session.getRecordingSize(recording)
+    if ( recording.status == 'complete' ) {
+      item.url = '/recordings/file.mp4?id=' + recording.id + content_protect_b
+      if ( !recording.file.endsWith('.mp4') ) item.url = item.url.replace('file.mp4', 'file.ts')
+      item.play = '/embed.html?src=' + encodeURIComponent(item.url)
+    }
+    return item
+  })
+}
+
+// Listen for recordings page requests
+app.get('/recordings', async function(req, res) {
+  try {
+    if ( ! (await protect(req, res)) ) return
+
+    session.requestlog('recordings', req)
+
+    var content_protect_a = ''
+    var content_protect_b = ''
+    if ( session.protection.content_protect ) {
+      content_protect_a = '?content_protect=' + session.protection.content_protect
+      content_protect_b = '&content_protect=' + session.protection.content_protect
+    }
+
+    let schedule = await session.getRecordingSchedule() || []
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="Content-type" content="text/html;charset=UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1,shrink-to-fit=no"><title>' + appname + ' recordings</title><link rel="icon" href="favicon.svg' + content_protect_a + '"><style type="text/css">input[type=text],input[type=button]{-webkit-appearance:none;-webkit-border-radius:0}body{width:480px;color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif;-webkit-text-size-adjust:none}a{color:darkgray}button{color:lightgray;background-color:black}table{width:100%;pad}table,th,td{border:1px solid darkgray;border-collapse:collapse}th,td{padding:5px}.tinytext{font-size:.8em}'
+    body += '.tooltip{position:relative;display:inline-block;border-bottom: 1px dotted gray;}.tooltip .tooltiptext{font-size:.8em;visibility:hidden;width:360px;background-color:gray;color:white;text-align:left;padding:5px;border-radius:6px;position:absolute;z-index:1;top:100%;left:75%;margin-left:-30px;}.tooltip:hover .tooltiptext{visibility:visible;}'
+    body += '</style><script type="text/javascript">' + "\n"
+    body += 'function makeGETRequest(url, callback){var request=new XMLHttpRequest();request.onreadystatechange=function(){if (request.readyState==4 && request.status==200){callback(request.responseText)}};request.open("GET", url);request.send();}' + "\n"
+    body += 'function recordingaction(url){makeGETRequest(url+"' + content_protect_b + '", function(){window.location.reload()});return false}function addrule(){var teamId=document.getElementById("teamId").value;var org=document.getElementById("org").value;if ((teamId == "") && (org == "")){alert("Enter a team ID or select an org");return false}var getstr="resolution="+document.getElementById("resolution").value;if (teamId != ""){getstr+="&teamId="+encodeURIComponent(teamId)}else{getstr+="&org="+encodeURIComponent(org)}return recordingaction("/recordings/add?"+getstr)}' + "\n"
+    body += '</script></head><body><h1>' + appname + ' recordings</h1>' + "\n"
+
+    body += '<p><span class="tooltip">Record<span class="tooltiptext">Record all MiLB.TV games for a team or for all of an org\'s affiliates. Recording starts when the game\'s video goes live, and is saved as an MP4 file when the game ends. Click or tap on a team name on the home page to see its id number.</span></span>: Team ID <input type="text" id="teamId" size="6"/> or Org <select id="org"><option value=""></option>'
+    for (const [key, value] of Object.entries(AFFILIATES)) {
+      body += '<option value="' + key + '">' + key + '</option>'
+    }
+    body += '</select> <select id="resolution">'
+    for (var i = 1; i < VALID_RESOLUTIONS.length; i++) {
+      body += '<option value="' + VALID_RESOLUTIONS[i] + '"'
+      if ( VALID_RESOLUTIONS[i] == DEFAULT_RECORDING_RESOLUTION ) body += ' selected'
+      body += '>' + VALID_RESOLUTIONS[i] + '</option>'
+    }
+    body += '</select> <button onclick="addrule()">Add</button></p>' + "\n"
+
+    body += '<p>Rules:<br/>'
+    if ( session.recordings.rules.length == 0 ) body += 'None'
+    for (var i = 0; i < session.recordings.rules.length; i++) {
+      let rule = session.recordings.rules[i]
+      body += (rule.teamId ? 'Team ' + rule.teamId : rule.org + ' affiliates') + ' (' + (rule.resolution || DEFAULT_RECORDING_RESOLUTION) + ') <a href="" onclick="return recordingaction(\'/recordings/remove?rule=' + i + '\')">Remove</a><br/>'
+    }
+    body += '</p>' + "\n"
+
+    body += '<p>Scheduled:</p><table>' + "\n"
+    if ( schedule.length == 0 ) body += '<tr><td>No upcoming games</td></tr>' + "\n"
+    for (var i = 0; i < schedule.length; i++) {
+      let status = 'Scheduled'
+      if ( recording_commands[schedule[i].gamePk] ) {
+        status = 'Recording'
+      } else if ( session.getRecording(schedule[i].gamePk) ) {
+        status = 'Recorded'
+      }
+      let startTime = new Date(schedule[i].gameDate)
+      body += '<tr><td>' + schedule[i].date + ' ' + startTime.toLocaleString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) + '</td><td>' + schedule[i].title + '</td><td>' + status + '</td></tr>' + "\n"
+    }
+    body += '</table>' + "\n"
+
+    body += '<p>Library:</p><table>' + "\n"
+    let recordings = get_recordings_list(content_protect_b)
+    if ( recordings.length == 0 ) body += '<tr><td>No recordings</td></tr>' + "\n"
+    for (var i = recordings.length - 1; i >= 0; i--) {
+      body += '<tr><td>' + recordings[i].date + '<br/>' + recordings[i].title + '<br/><span class="tinytext">' + (recordings[i].size / (1024 * 1024 * 1024)).toFixed(2) + ' GB, ' + recordings[i].status + '</span></td><td>'
+      if ( recordings[i].url ) {
+        body += '<a href="' + recordings[i].play + '">Play</a> | <a href="' + recordings[i].url + '&download=true">Download</a> | '
+      }
+      body += '<a href="" onclick="return recordingaction(\'/recordings/delete?id=' + recordings[i].id + '\')">Delete</a></td></tr>' + "\n"
+    }
+    body += '</table>' + "\n"
+
+    body += '<p><a href="/' + content_protect_a + '">Back</a></p>' + "\n"
+    body += '</body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html'})
+    res.end(body)
+  } catch (e) {
+    session.log('recordings request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for recordings JSON requests
+app.get('/recordings.json', async function(req, res) {
+  try {
+    if ( ! (await protect(req, res)) ) return
+
+    session.requestlog('recordings.json', req)
+
+    var content_protect_b = ''
+    if ( session.protection.content_protect ) content_protect_b = '&content_protect=' + session.protection.content_protect
+
+    let schedule = await session.getRecordingSchedule() || []
+    for (var i = 0; i < schedule.length; i++) {
+      schedule[i].recording = (typeof recording_commands[schedule[i].gamePk] !== 'undefined')
+    }
+
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify({ rules: session.recordings.rules, scheduled: schedule, recordings: get_recordings_list(content_protect_b) }))
+  } catch (e) {
+    session.log('recordings.json request error : ' + e.message)
+    respond_error(res, e)
+  }
+})
+
+// Listen for requests to add a recording rule
+app.get('/recordings/add', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('recordings/add', req)
+
+  let rule = { resolution: session.returnValidItem(req.query.resolution, VALID_RESOLUTIONS.slice(1)) }
+  if ( req.query.teamId ) {
+    rule.teamId = req.query.teamId
+  } else if ( req.query.org && (typeof AFFILIATES[req.query.org] !== 'undefined') ) {
+    rule.org = req.query.org
+  } else {
+    res.writeHead(400, {'Content-Type': 'application/json'})
+    return res.end(JSON.stringify({ success: false, error: 'teamId or valid org required' }))
+  }
+  session.addRecordingRule(rule)
+  check_recordings()
+
+  res.writeHead(200, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify({ success: true, rules: session.recordings.rules }))
+})
+
+// Listen for requests to remove a recording rule
+app.get('/recordings/remove', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('recordings/remove', req)
+
+  session.removeRecordingRule(parseInt(req.query.rule))
+
+  res.writeHead(200, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify({ success: true, rules: session.recordings.rules }))
+})
+
+// Listen for requests to delete a recording (stopping it first, if in progress)
+app.get('/recordings/delete', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  session.requestlog('recordings/delete', req)
+
+  let id = req.query.id
+  if ( recording_commands[id] ) {
+    // the library entry is deleted below before ffmpeg exits, so the stopped recording won't be processed
+    let recording_command = recording_commands[id]
+    delete recording_commands[id]
+    recording_command.kill()
+  }
+  stop_remux(id)
+  let success = session.deleteRecording(id)
+  // so a game which is still live isn't recorded again by the next schedule check
+  if ( success ) session.markRecordingDeleted(id)
+
+  res.writeHead(success ? 200 : 404, {'Content-Type': 'application/json'})
+  res.end(JSON.stringify({ success: success }))
+})
+
+// Listen for recording file requests
+async function recording_file(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('recordings/file', req, true)
+
+    let recording = session.getRecording(req.query.id)
+    if ( !recording || (recording.status != 'complete') ) {
+      return res.error(404, 'Recording not found')
+    }
+
+    let headers = { 'Content-Type': recording.file.endsWith('.mp4') ? 'video/mp4' : 'video/mp2t' }
+    if ( req.query.download ) {
+      headers['Content-Disposition'] = 'attachment; filename="' + recording.file + '"'
+    }
+    respondFile(req, res, path.join(session.get_recordings_directory(), recording.file), headers)
+  } catch (e) {
+    session.log('recording file request error : ' + e.message)
+    respond_error(res, e)
+  }
+}
+app.get('/recordings/file.mp4', recording_file)
+app.get('/recordings/file.ts', recording_file)
+
+// Download file names start with the gamePk, so only accept numeric ones
+function is_valid_gamePk(gamePk) {
+  return /^\d+$/.test(gamePk)
+}
+
+// Validate download options, using the same parameters and defaults as stream.m3u8
+function get_download_options(query) {
+  let options = {}
+  options.gamePk = query.gamePk
+  options.resolution = session.returnValidItem(query.resolution || DEFAULT_RECORDING_RESOLUTION, VALID_RESOLUTIONS.slice(1))
+  options.skip = session.returnValidItem(query.skip, VALID_SKIP)
+  options.inning_half = session.returnValidItem(query.inning_half, VALID_INNING_HALF)
+  options.inning_number = session.returnValidItem(query.inning_number, VALID_INNING_NUMBER)
+  options.skip_adjust = parseInt(query.skip_adjust) || DEFAULT_SKIP_ADJUST
+  options.skip_profile = session.returnValidItem(query.skip_profile, session.getSkipProfileNames())
+  return options
+}
+
+// Name download files by their options, so a download can be resumed and re-used
+function get_download_name(options) {
+  let name = options.gamePk + '.' + options.resolution
+  if ( options.skip != VALID_SKIP[0] ) name += '.skip-' + options.skip.replace(/ /g, '-')
+  if ( options.inning_number != VALID_INNING_NUMBER[0] ) name += '.' + (options.inning_half || VALID_INNING_HALF[1]) + '-' + options.inning_number
+  if ( options.skip_adjust != DEFAULT_SKIP_ADJUST ) name += '.adjust' + options.skip_adjust
+  if ( options.skip_profile != DEFAULT_SKIP_PROFILE ) name += '.' + options.skip_profile.replace(/[^A-Za-z0-9_-]/g, '-')
+  return name
+}
+
+// Get an archive game's expected length and the most to download for it, or nothing if the game isn't archived
+async function get_download_game(gamePk) {
+  let cache_data = await session.getGamedayData(gamePk)
+  if ( !cache_data || !cache_data.gameData || !cache_data.gameData.datetime || !cache_data.gameData.teams ) return
+  let mediaState = await session.getMediaState(gamePk, cache_data.gameData.datetime.officialDate, cache_data.gameData.teams.home.id)
+  if ( mediaState != 'MEDIA_ARCHIVE' ) return
+
+  let game_info = cache_data.gameData.gameInfo
+  if ( game_info && game_info.gameDurationMinutes ) {
+    let duration = (game_info.gameDurationMinutes + (game_info.delayDurationMinutes || 0)) * 60
+    return { duration: duration, limit: duration + DOWNLOAD_PAD_MINUTES * 60 }
+  }
+  return { duration: DOWNLOAD_MAX_HOURS * 60 * 60, limit: DOWNLOAD_MAX_HOURS * 60 * 60 }
+}
+
+// Convert an ffmpeg timemark (HH:MM:SS.ss) to seconds
+function timemark_to_seconds(timemark) {
+  let parts = timemark.split(':')
+  return (parseInt(parts[0]) * 3600) + (parseInt(parts[1]) * 60) + parseFloat(parts[2])
+}
+
+// Download an archive game as one MP4 file, without re-encoding
+// The stream is copied into TS parts first, so an interrupted download resumes after the last part
+// game comes from get_download_game, and bounds the download in case the stream never ends
+function start_download(options, game, cb) {
+  let name = get_download_name(options)
+  let directory = session.get_downloads_directory()
+  let mp4_file = path.join(directory, name + '.mp4')
+  let state_file = path.join(directory, name + '.json')
+
+  if ( download_jobs[name] ) {
+    if ( cb ) download_jobs[name].callbacks.push(cb)
+    return download_jobs[name]
+  }
+
+  let job = session.readFileToJson(state_file) || { parts: [], duration: 0 }
+  // use the game's expected length until the stream reports its own
+  if ( !job.duration ) job.duration = game.duration
+  job.name = name
+  job.status = 'downloading'
+  job.callbacks = cb ? [cb] : []
+  download_jobs[name] = job
+
+  let saved_time = 0
+  let save_state = function() {
+    saved_time = Date.now()
+    session.writeJsonToFile(JSON.stringify({ parts: job.parts, duration: job.duration }), state_file)
+  }
+  let finish = function(err) {
+    delete download_jobs[name]
+    job.status = err ? 'failed' : 'complete'
+    for (var i = 0; i < job.callbacks.length; i++) {
+      job.callbacks[i](err, mp4_file)
+    }
+  }
+
+  // Resume from the end of the parts downloaded so far, dropping any empty ones
+  job.parts = job.parts.filter(function(part) {
+    if ( part.seconds > 0 ) return true
+    try {
+      fs.unlinkSync(path.join(directory, part.file))
+    } catch (e) {
+      // part file was never created
+    }
+    return false
+  })
+  let offset = 0
+  for (var i = 0; i < job.parts.length; i++) {
+    offset += job.parts[i].seconds
+  }
+  let part = { file: name + '.part' + (job.parts.length + 1) + '.ts', seconds: 0 }
+  job.parts.push(part)
+  if ( offset > 0 ) session.log('resuming download ' + name + ' at ' + offset + ' seconds')
+
+  let content_protect_b = ''
+  if ( session.protection.content_protect ) content_protect_b = '&content_protect=' + session.protection.content_protect
+  let stream_url = 'http://127.0.0.1:' + port + '/stream.m3u8?gamePk=' + options.gamePk + '&resolution=' + options.resolution
+  if ( options.skip != VALID_SKIP[0] ) stream_url += '&skip=' + encodeURIComponent(options.skip)
+  if ( options.inning_half != VALID_INNING_HALF[0] ) stream_url += '&inning_half=' + options.inning_half
+  if ( options.inning_number != VALID_INNING_NUMBER[0] ) stream_url += '&inning_number=' + options.inning_number
+  if ( options.skip_adjust != DEFAULT_SKIP_ADJUST ) stream_url += '&skip_adjust=' + options.skip_adjust
+  if ( options.skip_profile != DEFAULT_SKIP_PROFILE ) stream_url += '&skip_profile=' + encodeURIComponent(options.skip_profile)
+  stream_url += content_protect_b
+
+  let download_command = ffmpeg({ timeout: 432000 })
+  download_command.input(stream_url)
+  if ( offset > 0 ) download_command.addInputOption('-ss', offset)
+  download_command.addOutputOption('-t', Math.max(game.limit - offset, 1))
+  .addOutputOption('-c', 'copy')
+  .addOutputOption('-sn')
+  .addOutputOption('-f', 'mpegts')
+  .addOutputOption('-y')
+  .output(path.join(directory, part.file))
+  .on('start', function(commandLine) {
+    session.log('download started for ' + name)
+    if ( argv.debug || argv.ffmpeg_logging ) {
+      session.log('download command: ' + commandLine)
+    }
+  })
+  .on('codecData', function(data) {
+    if ( data.duration && (data.duration != 'N/A') ) {
+      job.duration = timemark_to_seconds(data.duration)
+    }
+  })
+  .on('progress', function(progress) {
+    if ( !progress.timemark ) return
+    part.seconds = Math.max(timemark_to_seconds(progress.timemark), 0)
+    let percent = Math.min(Math.floor(((offset + part.seconds) / job.duration) * 100), 100)
+    if ( percent != job.percent ) {
+      job.percent = percent
+      session.log('download ' + name + ' ' + percent + '% complete')
+      save_state()
+    } else if ( (Date.now() - saved_time) >= (DOWNLOAD_SAVE_SECONDS * 1000) ) {
+      // save regularly too, so a crash loses little progress
+      save_state()
+    }
+  })
+  .on('error', function(err) {
+    // keep the parts so far, for resuming
+    session.log('download interrupted for ' + name + ': ' + err.message)
+    save_state()
+    finish(err)
+  })
+  .on('end', function() {
+    save_state()
+    job.status = 'processing'
+    session.log('download finished for ' + name + ', saving MP4')
+
+    // Join the parts into one MP4 file, without re-encoding
+    let list_file = path.join(directory, name + '.txt')
+    let list = ''
+    for (var i = 0; i < job.parts.length; i++) {
+      list += "file '" + path.join(directory, job.parts[i].file).replace(/'/g, "'\\''") + "'" + "\n"
+    }
+    fs.writeFileSync(list_file, list)
+    ffmpeg(list_file)
+    .addInputOption('-f', 'concat')
+    .addInputOption('-safe', '0')
+    .addOutputOption('-c', 'copy')
+    .addOutputOption('-bsf:a', 'aac_adtstoasc')
+    .addOutputOption('-movflags', '+faststart')
+    .addOutputOption('-f', 'mp4')
+    .addOutputOption('-y')
+    .output(mp4_file)
+    .on('error', function(err) {
+      session.log('download MP4 save failed for ' + name + ': ' + err.message)
+      finish(err)
+    })
+    .on('end', function() {
+      // the MP4 is saved, so a leftover part file shouldn't fail the download
+      let files = job.parts.map(function(part) { return path.join(directory, part.file) }).concat([list_file, state_file])
+      for (var i = 0; i < files.length; i++) {
+        try {
+          fs.unlinkSync(files[i])
+        } catch (e) {
+          session.log('download cleanup error for ' + name + ' : ' + e.message)
+        }
+      }
+      finish()
+    })
+    .run()
+  })
+
+  if ( argv.ffmpeg_logging ) {
+    download_command.on('stderr', function(stderrLine) {
+      session.log(stderrLine);
+    })
+  }
+
+  download_command.run()
+
+  return job
+}
+
+// Listen for MP4 download requests
+// Serves the file once it's ready (with byte ranges, so interrupted transfers can resume), otherwise starts or resumes it and shows its progress
+app.get('/download.mp4', async function(req, res) {
+  if ( ! (await protect(req, res)) ) return
+
+  try {
+    session.requestlog('download.mp4', req)
+
+    if ( !req.query.gamePk ) {
+      return res.error(400, 'gamePk required')
+    }
+    if ( !is_valid_gamePk(req.query.gamePk) ) {
+      return res.error(400, 'invalid gamePk')
+    }
+
+    let options = get_download_options(req.query)
+    let name = get_download_name(options)
+    let mp4_file = path.join(session.get_downloads_directory(), name + '.mp4')
+
+    if ( !download_jobs[name] && fs.existsSync(mp4_file) ) {
+      return respondFile(req, res, mp4_file, {
+        'Content-Type': 'video/mp4',
+        'Content-Disposition': 'attachment; filename="' + name + '.mp4"'
+      })
+    }
+
+    let job = download_jobs[name]
+    if ( !job ) {
+      let game = await get_download_game(options.gamePk)
+      if ( !game ) {
+        return res.error(400, 'only archive games can be downloaded')
+      }
+      job = start_download(options, game)
+    }
+
+    let status = 'Preparing download'
+    if ( job.status == 'processing' ) {
+      status = 'Saving MP4 file'
+    } else if ( typeof job.percent !== 'undefined' ) {
+      status = 'Downloading: ' + job.percent + '%'
+    }
+
+    var body = '<!DOCTYPE html><html><head><meta charset="UTF-8"><meta http-equiv="refresh" content="5"><title>' + appname + ' download</title><style type="text/css">body{color:lightgray;background-color:black;font-family:Arial,Helvetica,sans-serif}</style></head><body><p>' + name + '.mp4</p><p>' + status + '</p><p class="tinytext">This page will refresh until the download is ready.</p></body></html>'
+
+    res.writeHead(200, {'Content-Type': 'text/html'})
+    res.end(body)
+  } catch (e) {
+    session.log('download.mp4 request error : ' + e.message)
+    respond_error(res, e)
   }
-})
\ No newline at end of file
+})
@@ -5,19 +5,50 @@
 // Required Node packages for the session class
 const fs = require('fs')
 const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
 const readlineSync = require('readline-sync')
-const FileCookieStore = require('tough-cookie-filestore')
+const { PassThrough } = require('stream')
+const tough = require('tough-cookie')
 
 // Define some file paths and names
 const DATA_DIRECTORY = path.join(__dirname, 'data')
 const CACHE_DIRECTORY = path.join(__dirname, 'cache')
 const MULTIVIEW_DIRECTORY_NAME = 'multiview'
+const RECORDINGS_DIRECTORY_NAME = 'recordings'
+const DOWNLOADS_DIRECTORY_NAME = 'downloads'
 
 const CREDENTIALS_FILE = path.join(__dirname, 'credentials.json')
 const PROTECTION_FILE = path.join(__dirname, 'protection.json')
 const COOKIE_FILE = path.join(DATA_DIRECTORY, 'cookies.json')
+// Cookie storage for each additional account is named after it, like cookies.name.json
+const ACCOUNT_COOKIE_FILE_PREFIX = 'cookies.'
 const DATA_FILE = path.join(DATA_DIRECTORY, 'data.json')
-const CACHE_FILE = path.join(CACHE_DIRECTORY, 'cache.json')
+const RECORDINGS_FILE = path.join(DATA_DIRECTORY, 'recordings.json')
+const MULTIVIEW_PRESETS_FILE = path.join(DATA_DIRECTORY, 'multiview_presets.json')
+const SKIP_PROFILES_FILE = path.join(__dirname, 'skip_profiles.json')
+const UPSTREAM_URLS_FILE = path.join(__dirname, 'upstream_urls.json')
+// Files stored with authenticated encryption, since they hold the account credentials, login tokens, and content protection key
+const ENCRYPTED_FILES = [ CREDENTIALS_FILE, DATA_FILE, PROTECTION_FILE ]
+const ENCRYPTION_FORMAT = 'milbserver-encrypted-1'
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm'
+// Environment variables for the encryption key, and the new key when rotating it (otherwise keys are read from files)
+const ENCRYPTION_KEY_VARIABLE = 'MILBSERVER_KEY'
+const ENCRYPTION_NEW_KEY_VARIABLE = 'MILBSERVER_NEW_KEY'
+// Default directory for recorded upstream exchanges, if --record or --replay doesn't specify one
+const DEFAULT_FIXTURES_DIRECTORY = path.join(__dirname, 'fixtures')
+
+// Base URLs of the upstream services, which the upstream URLs file can override (to use a local stand-in, for example)
+const DEFAULT_UPSTREAM_URLS = {
+  'milb': 'https://www.milb.com',
+  'ids': 'https://ids.milb.com',
+  'playback': 'https://services.mediaservices.mlbinfra.com',
+  'scoreboard': 'https://bdfed.stitch.mlbinfra.com',
+  'statsapi': 'https://statsapi.mlb.com',
+  'images': 'https://www.mlbstatic.com'
+}
+// Query parameters which differ on every request (or are secret), so they aren't part of a recorded exchange's key
+const FIXTURE_IGNORED_PARAMETERS = [ 'state', 'nonce', 'sessionToken' ]
 
 // Default user agent to use for API requests
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.13; rv:87.0) Gecko/20100101 Firefox/87.0'
@@ -27,6 +58,16 @@ const PLATFORM = "macintosh"
 const BAM_SDK_VERSION = '4.3'
 const BAM_TOKEN_URL = 'https://us.edge.bamgrid.com/token'
 
+// Name of the account from --account_username/--account_password (or the prompt), as opposed to ones added with --add_account
+const DEFAULT_ACCOUNT_NAME = 'default'
+// How long a stream counts against the account that served it, when spreading new streams across accounts (about the length of a game)
+const ACCOUNT_STREAM_HOURS = 4
+
+// Default retries for failed upstream requests, and the delay before the first retry in seconds (doubling for each retry after that, up to the maximum)
+const DEFAULT_REQUEST_RETRIES = 2
+const DEFAULT_REQUEST_RETRY_DELAY = 1
+const MAXIMUM_REQUEST_RETRY_DELAY = 30
+
 // Default date handling
 const TODAY_UTC_HOURS = 8 // UTC hours (EST + 4) into tomorrow to still use today's date
 
@@ -40,17 +81,151 @@ const ACTION_TYPES = ['Wild Pitch', 'Passed Ball', 'Stolen Base', 'Caught Steali
 const EVENT_START_PADDING = 4
 const EVENT_END_PADDING = 17
 const MINIMUM_BREAK_DURATION = 10
+// Extra seconds to keep after overturned review plays
+const REVIEW_PADDING = 40
+// Seconds to keep before and after each play, if skipping to scoring plays, key moments, or a player's plate appearances
+const HIGHLIGHT_LEAD_PADDING = 10
+const HIGHLIGHT_TRAIL_PADDING = 20
+// Longest broadcast to expect, in seconds, for skipping everything after the last highlight
+const MAXIMUM_BROADCAST_DURATION = 86400
+
+// The default skip profile uses the values above; named profiles in the skip profiles file override any of them
+const DEFAULT_SKIP_PROFILE = {
+  'break_types': BREAK_TYPES,
+  'action_types': ACTION_TYPES,
+  'event_start_padding': EVENT_START_PADDING,
+  'event_end_padding': EVENT_END_PADDING,
+  'minimum_break_duration': MINIMUM_BREAK_DURATION,
+  'review_padding': REVIEW_PADDING,
+  'scoring_plays_lead_padding': HIGHLIGHT_LEAD_PADDING,
+  'scoring_plays_trail_padding': HIGHLIGHT_TRAIL_PADDING,
+  'key_moments_lead_padding': HIGHLIGHT_LEAD_PADDING,
+  'key_moments_trail_padding': HIGHLIGHT_TRAIL_PADDING,
+  'player_lead_padding': HIGHLIGHT_LEAD_PADDING,
+  'player_trail_padding': HIGHLIGHT_TRAIL_PADDING
+}
+
+// Renew tokens in the background when they are this many seconds from expiring
+const TOKEN_REFRESH_MARGIN_SECONDS = 300
+
+// How long to remember deleted recordings' games, so they aren't recorded again (longer than a game stays live)
+const DELETED_RECORDING_DAYS = 2
+
+// Default size limit for the archive segment cache, in megabytes (0 disables it)
+const DEFAULT_SEGMENT_CACHE_SIZE = 1024
+
+// Upstream request errors, by type, with the HTTP status to respond with when a request fails because of one,
+// and whether retrying might help (connection failures and timeouts, not other 4xx responses)
+class UpstreamError extends Error {
+  constructor(message, url, statusCode) {
+    super(message)
+    this.name = this.constructor.name
+    this.url = url
+    this.statusCode = statusCode
+  }
+  get status() { return 502 }
+  get reason() { return 'upstream request failed' }
+  get retryable() { return !this.statusCode }
+}
+
+class UpstreamAuthError extends UpstreamError {
+  get status() { return 401 }
+  get reason() { return 'upstream authentication failed, check account credentials' }
+  get retryable() { return false }
+}
+
+class UpstreamNotFoundError extends UpstreamError {
+  get status() { return 404 }
+  get reason() { return 'not found upstream' }
+  get retryable() { return false }
+}
+
+class UpstreamTimeoutError extends UpstreamError {
+  get status() { return 504 }
+  get reason() { return 'upstream request timed out' }
+  get retryable() { return true }
+}
+
+class UpstreamServerError extends UpstreamError {
+  get status() { return 502 }
+  get reason() { return 'upstream server error' }
+  get retryable() { return true }
+}
+
+// Cookie store which keeps its file encrypted like the other session files, since the login cookies are enough to get new tokens
+// (the same format the previous plaintext file store used, so its files are migrated when they are loaded)
+class EncryptedFileCookieStore extends tough.MemoryCookieStore {
+  constructor(filePath, session) {
+    super()
+    this.filePath = filePath
+    this.session = session
+    if ( fs.readFileSync(filePath, 'utf8') != '' ) {
+      let idx = session.readEncryptedFileToJson(filePath)
+      for (const domain in idx) {
+        for (const cookie_path in idx[domain]) {
+          for (const key in idx[domain][cookie_path]) {
+            idx[domain][cookie_path][key] = tough.Cookie.fromJSON(idx[domain][cookie_path][key])
+          }
+        }
+      }
+      this.idx = idx
+      if ( !session.isEncrypted(session.readFileToJson(filePath)) ) {
+        session.log('encrypting ' + path.basename(filePath))
+        this.save()
+      }
+    }
+  }
+
+  save() {
+    this.session.writeEncryptedJsonToFile(JSON.stringify(this.idx), this.filePath)
+  }
+
+  putCookie(cookie, cb) {
+    super.putCookie(cookie, err => {
+      this.save()
+      cb(err)
+    })
+  }
+
+  removeCookie(domain, cookie_path, key, cb) {
+    super.removeCookie(domain, cookie_path, key, err => {
+      this.save()
+      cb(err)
+    })
+  }
+
+  removeCookies(domain, cookie_path, cb) {
+    super.removeCookies(domain, cookie_path, err => {
+      this.save()
+      cb(err)
+    })
+  }
+
+  removeAllCookies(cb) {
+    super.removeAllCookies(err => {
+      this.save()
+      cb(err)
+    })
+  }
+}
 
 class sessionClass {
   // Initialize the class
   constructor(argv = {}) {
     this.debug = argv.debug
 
+    // Set up the encryption key, and encrypt any files left in plaintext from before they were encrypted
+    this.setEncryption(this.getEncryptionSecret(argv.key_file))
+    this.encrypt_plaintext_files()
+
     // Read credentials from file, if present
-    this.credentials = this.readFileToJson(CREDENTIALS_FILE) || {}
+    this.credentials = this.readEncryptedFileToJson(CREDENTIALS_FILE) || {}
+
+    // Rotating the key only needs the encrypted files, so don't prompt for credentials or set up anything else
+    if ( typeof argv.rotate_key !== 'undefined' ) return
 
-    // Check if account credentials were provided and if they are different from the stored credentials
-    if ( argv.account_username && argv.account_password && ((argv.account_username != this.credentials.account_username) || (argv.account_password != this.credentials.account_password)) ) {
+    // Check if account credentials were provided (for the default account, unless adding another one) and if they are different from the stored credentials
+    if ( !argv.add_account && argv.account_username && argv.account_password && ((argv.account_username != this.credentials.account_username) || (argv.account_password != this.credentials.account_password)) ) {
       this.debuglog('updating account credentials')
       this.credentials.account_username = argv.account_username
       this.credentials.account_password = argv.account_password
@@ -72,7 +247,7 @@ class sessionClass {
     this.protection = {}
     if ( argv.page_username && argv.page_password ) {
       // Read protection data from file, if present
-      this.protection = this.readFileToJson(PROTECTION_FILE) || {}
+      this.protection = this.readEncryptedFileToJson(PROTECTION_FILE) || {}
 
       // Check if content_protect key was provided and if it is different from the stored one
       if ( argv.content_protect && (argv.content_protect != this.protection.content_protect) ) {
@@ -103,28 +278,104 @@ class sessionClass {
     }
     this.createDirectory(this.multiview_path)
 
-    // Create cookie storage file if it doesn't already exist
-    this.createFile(COOKIE_FILE)
-    // Verify its contents are valid
-    let cookieStr = fs.readFileSync(COOKIE_FILE)
-    if ( (cookieStr != '') && !this.isValidJson(cookieStr) ) {
-      this.log('invalid cookie storage file contents, resetting')
-      fs.unlinkSync(COOKIE_FILE)
-      this.createFile(COOKIE_FILE)
+    // Set recordings path
+    if ( argv.recordings_path ) {
+      this.recordings_path = path.join(argv.recordings_path, path.basename(__dirname))
+      this.createDirectory(this.recordings_path)
+      this.recordings_path = path.join(this.recordings_path, RECORDINGS_DIRECTORY_NAME)
+    } else {
+      this.recordings_path = path.join(__dirname, RECORDINGS_DIRECTORY_NAME)
     }
+    this.createDirectory(this.recordings_path)
 
-    // Set up http requests with the cookie jar
+    // Set downloads path
+    if ( argv.downloads_path ) {
+      this.downloads_path = path.join(argv.downloads_path, path.basename(__dirname))
+      this.createDirectory(this.downloads_path)
+      this.downloads_path = path.join(this.downloads_path, DOWNLOADS_DIRECTORY_NAME)
+    } else {
+      this.downloads_path = path.join(__dirname, DOWNLOADS_DIRECTORY_NAME)
+    }
+    this.createDirectory(this.downloads_path)
+
+    // Retries for failed upstream requests
+    this.request_retries = DEFAULT_REQUEST_RETRIES
+    if ( typeof argv.request_retries !== 'undefined' ) {
+      this.request_retries = parseInt(argv.request_retries) || 0
+    }
+    this.request_retry_delay = parseFloat(argv.request_retry_delay) || DEFAULT_REQUEST_RETRY_DELAY
+
+    // Recording retention limits (0 means no limit)
+    this.recordings_max_size = parseFloat(argv.recordings_max_size) || 0
+    this.recordings_max_days = parseFloat(argv.recordings_max_days) || 0
+
+    // Set up http requests with the cookie jar (additional accounts get their own jars when first used)
     this.request = require('request-promise')
-    this.jar = this.request.jar(new FileCookieStore(COOKIE_FILE))
+    this.jar = this.createCookieJar(COOKIE_FILE)
+    this.account_jars = {}
     this.request = this.request.defaults({timeout:15000, agent:false, jar: this.request.jar()})
+    // Plain (non-promise) requests, for piping video responses
+    this.streamRequest = require('request').defaults({timeout:15000, agent:false})
+
+    // Record upstream exchanges to a fixtures directory, or replay them from it without using the network
+    this.fixtures = false
+    if ( (typeof argv.record !== 'undefined') && (typeof argv.replay !== 'undefined') ) {
+      this.halt('--record and --replay cannot be used together')
+    } else if ( typeof argv.record !== 'undefined' ) {
+      this.fixtures = { mode: 'record', directory: argv.record || DEFAULT_FIXTURES_DIRECTORY }
+      fs.mkdirSync(this.fixtures.directory, { recursive: true })
+    } else if ( typeof argv.replay !== 'undefined' ) {
+      // requests that weren't recorded exactly only fall back to another recording for the same path if asked to
+      this.fixtures = { mode: 'replay', directory: argv.replay || DEFAULT_FIXTURES_DIRECTORY, fallback: !!argv.replay_fallback }
+      if ( !fs.existsSync(this.fixtures.directory) ) this.halt('fixtures directory ' + this.fixtures.directory + ' not found')
+    }
+    if ( this.fixtures ) this.log(this.fixtures.mode + ' mode using fixtures directory ' + this.fixtures.directory)
+
+    // Replay mode uses a temporary cache, so the real cache doesn't stand in for fixtures and replayed data doesn't end up in it
+    this.cache_directory = CACHE_DIRECTORY
+    if ( this.fixtures && (this.fixtures.mode == 'replay') ) {
+      this.cache_directory = fs.mkdtempSync(path.join(os.tmpdir(), 'milbserver-replay-cache-'))
+      this.debuglog('replay mode using cache directory ' + this.cache_directory)
+    }
+    this.cache_file = path.join(this.cache_directory, 'cache.json')
+    this.segment_cache_directory = path.join(this.cache_directory, 'segments')
 
     // Load session data and cache from files
-    this.data = this.readFileToJson(DATA_FILE) || {}
-    this.cache = this.readFileToJson(CACHE_FILE) || {}
+    this.data = this.readEncryptedFileToJson(DATA_FILE) || {}
+    this.cache = this.readFileToJson(this.cache_file) || {}
+
+    // Load recording rules and library from file
+    this.recordings = this.readFileToJson(RECORDINGS_FILE) || {}
+    if ( !this.recordings.rules ) this.recordings.rules = []
+    if ( !this.recordings.library ) this.recordings.library = []
+    // gamePks of deleted recordings (with when they were deleted), so scheduled recording doesn't start them again
+    if ( !this.recordings.deleted ) this.recordings.deleted = {}
+
+    // Load saved multiview presets from file
+    this.multiview_presets = this.readFileToJson(MULTIVIEW_PRESETS_FILE) || {}
+
+    // Load named skip profiles from file, if present
+    this.skip_profiles = this.loadSkipProfiles()
+
+    // Load upstream base URL overrides from file, if present
+    this.upstream_urls = Object.assign({}, DEFAULT_UPSTREAM_URLS, this.readFileToJson(UPSTREAM_URLS_FILE) || {})
+    for (const name in DEFAULT_UPSTREAM_URLS) {
+      if ( this.upstream_urls[name] != DEFAULT_UPSTREAM_URLS[name] ) this.log('using ' + this.upstream_urls[name] + ' for upstream ' + name)
+    }
 
     // Define empty temporary cache (for inning data)
     this.temp_cache = {}
 
+    // Token refreshes in progress (so concurrent requests share them), and how background refreshes went for each account
+    this.token_refreshes = {}
+    this.token_refresh_status = { last_check: null, accounts: {} }
+
+    // Set size limit for the archive segment cache
+    this.segment_cache_size = DEFAULT_SEGMENT_CACHE_SIZE
+    if ( typeof argv.segment_cache_size !== 'undefined' ) {
+      this.segment_cache_size = parseInt(argv.segment_cache_size) || 0
+    }
+
     // Default scan_mode and linkType values
     if ( !this.data.scan_mode ) {
       this.setScanMode('on')
@@ -156,6 +407,13 @@ class sessionClass {
     this.save_session_data()
   }
 
+  // Set the multiview encoder and its output options, as saved by encoder detection
+  setFfmpegEncoder(encoder, options) {
+    this.data.ffmpegEncoder = encoder
+    this.data.ffmpegEncoderOptions = options
+    this.save_session_data()
+  }
+
   // Set the multiview stream URL path
   setMultiviewStreamURLPath(url_path) {
     this.data.multiviewStreamURLPath = url_path
@@ -199,6 +457,146 @@ class sessionClass {
     }
   }
 
+  // Secret to derive the encryption key from: the environment variable, else the key file, else the OS user
+  // (which only keeps the files from being read as-is by someone else or on another machine)
+  getEncryptionSecret(key_file) {
+    if ( process.env[ENCRYPTION_KEY_VARIABLE] ) {
+      return { source: 'environment variable ' + ENCRYPTION_KEY_VARIABLE, secret: process.env[ENCRYPTION_KEY_VARIABLE] }
+    } else if ( key_file ) {
+      return { source: 'key file ' + key_file, secret: this.readKeyFile(key_file) }
+    } else {
+      // (not the hostname, which changes whenever a container is recreated)
+      let user = os.userInfo()
+      return { source: 'OS user ' + user.username, secret: [ user.username, user.uid ].join(':') }
+    }
+  }
+
+  readKeyFile(key_file) {
+    let secret
+    try {
+      secret = fs.readFileSync(key_file, 'utf8').trim()
+    } catch (e) {
+      this.halt('cannot read key file : ' + e.message)
+    }
+    if ( !secret ) this.halt('key file ' + key_file + ' is empty')
+    return secret
+  }
+
+  // Use a secret for encryption, with a new salt for the files written from now on
+  setEncryption(encryption) {
+    this.debuglog('using encryption key from ' + encryption.source)
+    this.encryption = Object.assign({ salt: crypto.randomBytes(16).toString('base64'), keys: {} }, encryption)
+  }
+
+  // Key derived from the secret and a salt (remembered, since deriving it is deliberately slow)
+  getEncryptionKey(salt) {
+    if ( !this.encryption.keys[salt] ) {
+      this.encryption.keys[salt] = crypto.scryptSync(this.encryption.secret, Buffer.from(salt, 'base64'), 32)
+    }
+    return this.encryption.keys[salt]
+  }
+
+  // Encrypt a JSON string, authenticating the file name too so encrypted files can't be swapped for each other
+  encryptJson(jsonStr, filePath) {
+    let iv = crypto.randomBytes(12)
+    let cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.getEncryptionKey(this.encryption.salt), iv)
+    cipher.setAAD(Buffer.from(path.basename(filePath)))
+    let data = Buffer.concat([ cipher.update(jsonStr, 'utf8'), cipher.final() ])
+    return JSON.stringify({ format: ENCRYPTION_FORMAT, salt: this.encryption.salt, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') })
+  }
+
+  // Decrypt an encrypted file's contents, throwing an error if the key is wrong or the contents were modified
+  decryptJson(obj, filePath) {
+    let decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, this.getEncryptionKey(obj.salt), Buffer.from(obj.iv, 'base64'))
+    decipher.setAAD(Buffer.from(path.basename(filePath)))
+    decipher.setAuthTag(Buffer.from(obj.tag, 'base64'))
+    return Buffer.concat([ decipher.update(Buffer.from(obj.data, 'base64')), decipher.final() ]).toString('utf8')
+  }
+
+  isEncrypted(obj) {
+    return (obj && (obj.format == ENCRYPTION_FORMAT)) ? true : false
+  }
+
+  readEncryptedFileToJson(filePath) {
+    let obj = this.readFileToJson(filePath)
+    if ( !obj || !this.isEncrypted(obj) ) return obj
+    try {
+      return JSON.parse(this.decryptJson(obj, filePath))
+    } catch (e) {
+      this.halt('cannot decrypt ' + path.basename(filePath) + ' with the key from ' + this.encryption.source + ' (it was encrypted with a different key, or modified) : ' + e.message)
+    }
+  }
+
+  writeEncryptedJsonToFile(jsonStr, filePath) {
+    if (this.isValidJson(jsonStr)) {
+      this.writeJsonToFile(this.encryptJson(jsonStr, filePath), filePath)
+    }
+  }
+
+  // Migrate files written in plaintext by earlier versions
+  encrypt_plaintext_files() {
+    for (const file of ENCRYPTED_FILES) {
+      let obj = this.readFileToJson(file)
+      if ( obj && !this.isEncrypted(obj) ) {
+        this.log('encrypting ' + path.basename(file))
+        this.writeEncryptedJsonToFile(JSON.stringify(obj), file)
+      }
+    }
+  }
+
+  // Re-encrypt the encrypted files with a new key, from the new key environment variable or else a key file
+  // (generating a random key into it, if it doesn't exist yet)
+  rotate_key(new_key_file) {
+    // Decrypt them all with the current key first, so a failure can't leave them encrypted with different keys
+    let contents = {}
+    for (const file of ENCRYPTED_FILES.concat(this.getCookieFiles())) {
+      // (cookie files start out empty)
+      if ( !fs.existsSync(file) || (fs.readFileSync(file, 'utf8') == '') ) continue
+      let obj = this.readEncryptedFileToJson(file)
+      if ( obj ) contents[file] = obj
+    }
+
+    let encryption, usage
+    if ( process.env[ENCRYPTION_NEW_KEY_VARIABLE] ) {
+      usage = ENCRYPTION_KEY_VARIABLE + ' set to the new key'
+      encryption = { source: 'environment variable ' + ENCRYPTION_NEW_KEY_VARIABLE, secret: process.env[ENCRYPTION_NEW_KEY_VARIABLE] }
+    } else if ( new_key_file ) {
+      if ( !fs.existsSync(new_key_file) ) {
+        this.log('generating new key file ' + new_key_file)
+        fs.writeFileSync(new_key_file, crypto.randomBytes(32).toString('base64') + '\n', { mode: 0o600 })
+      }
+      encryption = { source: 'key file ' + new_key_file, secret: this.readKeyFile(new_key_file) }
+      usage = '--key_file ' + new_key_file + ((process.env[ENCRYPTION_KEY_VARIABLE]) ? (' and without ' + ENCRYPTION_KEY_VARIABLE + ' set') : '')
+    } else {
+      this.halt('specify the new key file, or set ' + ENCRYPTION_NEW_KEY_VARIABLE + ' to the new key')
+    }
+    if ( encryption.secret == this.encryption.secret ) this.halt('the new key is the same as the current one')
+
+    // Write them all to temporary files, and only replace the originals once every one has been written
+    this.setEncryption(encryption)
+    let temp_files = {}
+    try {
+      for (const file in contents) {
+        temp_files[file] = file + '.rotating'
+        fs.writeFileSync(temp_files[file], this.encryptJson(JSON.stringify(contents[file]), file))
+      }
+    } catch (e) {
+      for (const file in temp_files) {
+        try {
+          fs.unlinkSync(temp_files[file])
+        } catch (e) {
+          // temporary file was never created
+        }
+      }
+      this.halt('cannot write re-encrypted files, so the key was not changed : ' + e.message)
+    }
+    for (const file in temp_files) {
+      fs.renameSync(temp_files[file], file)
+    }
+    this.log('re-encrypted ' + Object.keys(contents).length + ' files with the key from ' + encryption.source)
+    this.log('from now on, start milbserver with ' + usage)
+  }
+
   checkValidItem(item, obj) {
     if (obj.includes(item)) {
       return true
@@ -309,15 +707,25 @@ class sessionClass {
     }
   }
 
-  cacheStreamURL(gamePk, streamURL) {
+  cacheStreamURL(gamePk, streamURL, account_name) {
     this.createMediaCache(gamePk)
     this.cache.media[gamePk].streamURL = streamURL
+    // Remember which account served it, to spread other streams across accounts
+    this.cache.media[gamePk].account = account_name
+    this.cache.media[gamePk].accountTime = new Date()
     // Expire it in 1 minute
     let seconds_to_expire = 60
     this.cache.media[gamePk].streamURLExpiry = new Date(new Date().getTime() + seconds_to_expire * 1000)
     this.save_session_data()
   }
 
+  clearCachedStreamURL(gamePk) {
+    if ( this.cache.media && this.cache.media[gamePk] ) {
+      delete this.cache.media[gamePk].streamURL
+      delete this.cache.media[gamePk].streamURLExpiry
+    }
+  }
+
   dateWithoutDashes(dateString) {
     return dateString.substr(0,4) + dateString.substr(5,2) + dateString.substr(8,2)
   }
@@ -344,6 +752,96 @@ class sessionClass {
     process.exit(1)
   }
 
+  // Cookie jar stored in an encrypted file, created if it doesn't already exist and reset if its contents aren't valid
+  createCookieJar(file) {
+    this.createFile(file)
+    let cookieStr = fs.readFileSync(file)
+    if ( (cookieStr != '') && !this.isValidJson(cookieStr) ) {
+      this.log('invalid cookie storage file contents, resetting')
+      fs.unlinkSync(file)
+      this.createFile(file)
+    }
+    return this.request.jar(new EncryptedFileCookieStore(file, this))
+  }
+
+  // The default account first, then any added with --add_account, in the order they were added
+  getAccounts() {
+    let accounts = [ { name: DEFAULT_ACCOUNT_NAME, username: this.credentials.account_username, password: this.credentials.account_password } ]
+    for (const account of (this.credentials.accounts || [])) {
+      accounts.push({ name: account.name, username: account.account_username, password: account.account_password })
+    }
+    return accounts
+  }
+
+  // Token data for an account: the default account keeps it at the top level of the session data, as before there were other accounts
+  getAccountData(account) {
+    if ( account.name == DEFAULT_ACCOUNT_NAME ) return this.data
+    if ( !this.data.accounts ) this.data.accounts = {}
+    if ( !this.data.accounts[account.name] ) this.data.accounts[account.name] = {}
+    return this.data.accounts[account.name]
+  }
+
+  getAccountCookieFile(name) {
+    return path.join(DATA_DIRECTORY, ACCOUNT_COOKIE_FILE_PREFIX + name + '.json')
+  }
+
+  // Cookie files of the default account and any others
+  getCookieFiles() {
+    return [ COOKIE_FILE ].concat((this.credentials.accounts || []).map(account => this.getAccountCookieFile(account.name)))
+  }
+
+  getAccountJar(account) {
+    if ( account.name == DEFAULT_ACCOUNT_NAME ) return this.jar
+    if ( !this.account_jars[account.name] ) {
+      this.createDirectory(DATA_DIRECTORY)
+      this.account_jars[account.name] = this.createCookieJar(this.getAccountCookieFile(account.name))
+    }
+    return this.account_jars[account.name]
+  }
+
+  // Add another account (or update one with the same name), prompting for credentials if they weren't provided
+  add_account(name, username, password) {
+    if ( !name.match(/^[A-Za-z0-9_-]{1,32}$/) ) this.halt('invalid account name (use up to 32 letters, numbers, dashes, and underscores)')
+    if ( name == DEFAULT_ACCOUNT_NAME ) this.halt('the ' + DEFAULT_ACCOUNT_NAME + ' account is set with --account_username and --account_password')
+    if ( !username || !password ) {
+      this.debuglog('prompting for account credentials')
+      username = readlineSync.question('Enter username (email address) for account ' + name + ': ')
+      password = readlineSync.question('Enter password for account ' + name + ': ', { hideEchoBack: true })
+    }
+    let accounts = this.credentials.accounts || []
+    let index = accounts.findIndex(account => account.name == name)
+    if ( index < 0 ) index = accounts.length
+    accounts[index] = { name: name, account_username: username, account_password: password }
+    this.credentials.accounts = accounts
+    this.save_credentials()
+    this.clear_account_session_data(name)
+  }
+
+  remove_account(name) {
+    let accounts = this.credentials.accounts || []
+    if ( !accounts.some(account => account.name == name) ) {
+      this.log('no account named ' + name)
+      return
+    }
+    this.credentials.accounts = accounts.filter(account => account.name != name)
+    this.save_credentials()
+    this.clear_account_session_data(name)
+  }
+
+  // Clears the cookies and tokens of an additional account
+  clear_account_session_data(name) {
+    delete this.account_jars[name]
+    if ( this.data.accounts && this.data.accounts[name] ) {
+      delete this.data.accounts[name]
+      this.save_session_data()
+    }
+    try {
+      fs.unlinkSync(this.getAccountCookieFile(name))
+    } catch(e){
+      this.debuglog('account session cannot be cleared or does not exist yet : ' + e.message)
+    }
+  }
+
   logout() {
     try {
       fs.unlinkSync(CREDENTIALS_FILE)
@@ -359,11 +857,18 @@ class sessionClass {
     } catch(e){
       this.debuglog('session cannot be cleared or does not exist yet : ' + e.message)
     }
+    for (const account of (this.credentials.accounts || [])) {
+      try {
+        fs.unlinkSync(this.getAccountCookieFile(account.name))
+      } catch(e){
+        this.debuglog('account session cannot be cleared or does not exist yet : ' + e.message)
+      }
+    }
   }
 
   clear_cache() {
     try {
-      fs.unlinkSync(CACHE_FILE)
+      fs.unlinkSync(this.cache_file)
     } catch(e){
       this.debuglog('cache cannot be cleared or does not exist yet : ' + e.message)
     }
@@ -373,14 +878,16 @@ class sessionClass {
     return this.multiview_path
   }
 
-  clear_multiview_files() {
+  // Clears the encoded files in a multiview directory (the main one by default), leaving any session folders inside it
+  clear_multiview_files(directory = this.multiview_path) {
     try {
-      if ( this.multiview_path ) {
-        fs.readdir(this.multiview_path, (err, files) => {
+      if ( directory && fs.existsSync(directory) ) {
+        fs.readdir(directory, { withFileTypes: true }, (err, files) => {
           if (err) throw err
 
           for (const file of files) {
-            fs.unlink(path.join(this.multiview_path, file), err => {
+            if ( !file.isFile() ) continue
+            fs.unlink(path.join(directory, file.name), err => {
               if (err) throw err
             })
           }
@@ -391,34 +898,136 @@ class sessionClass {
     }
   }
 
+  // Removes the folders of named multiview sessions
+  clear_multiview_session_directories() {
+    try {
+      if ( this.multiview_path ) {
+        let files = fs.readdirSync(this.multiview_path, { withFileTypes: true })
+        for (const file of files) {
+          if ( file.isDirectory() ) {
+            fs.rmSync(path.join(this.multiview_path, file.name), { recursive: true, force: true })
+          }
+        }
+      }
+    } catch(e){
+      this.debuglog('clear multiview session directories error : ' + e.message)
+    }
+  }
+
+  get_recordings_directory() {
+    return this.recordings_path
+  }
+
+  get_downloads_directory() {
+    return this.downloads_path
+  }
+
   save_credentials() {
-    this.writeJsonToFile(JSON.stringify(this.credentials), CREDENTIALS_FILE)
+    this.writeEncryptedJsonToFile(JSON.stringify(this.credentials), CREDENTIALS_FILE)
     this.debuglog('credentials saved to file')
   }
 
   save_protection() {
-    this.writeJsonToFile(JSON.stringify(this.protection), PROTECTION_FILE)
+    this.writeEncryptedJsonToFile(JSON.stringify(this.protection), PROTECTION_FILE)
     this.debuglog('protection data saved to file')
   }
 
   save_session_data() {
     this.createDirectory(DATA_DIRECTORY)
-    this.writeJsonToFile(JSON.stringify(this.data), DATA_FILE)
+    this.writeEncryptedJsonToFile(JSON.stringify(this.data), DATA_FILE)
     this.debuglog('session data saved to file')
   }
 
   save_cache_data() {
-    this.createDirectory(CACHE_DIRECTORY)
-    this.writeJsonToFile(JSON.stringify(this.cache), CACHE_FILE)
+    this.createDirectory(this.cache_directory)
+    this.writeJsonToFile(JSON.stringify(this.cache), this.cache_file)
     this.debuglog('cache data saved to file')
   }
 
+  save_recordings_data() {
+    this.createDirectory(DATA_DIRECTORY)
+    this.writeJsonToFile(JSON.stringify(this.recordings), RECORDINGS_FILE)
+    this.debuglog('recordings data saved to file')
+  }
+
+  save_multiview_presets() {
+    this.createDirectory(DATA_DIRECTORY)
+    this.writeJsonToFile(JSON.stringify(this.multiview_presets), MULTIVIEW_PRESETS_FILE)
+    this.debuglog('multiview presets saved to file')
+  }
+
   save_json_cache_file(cache_name, cache_data) {
-    this.createDirectory(CACHE_DIRECTORY)
-    this.writeJsonToFile(JSON.stringify(cache_data), path.join(CACHE_DIRECTORY, cache_name+'.json'))
+    this.createDirectory(this.cache_directory)
+    this.writeJsonToFile(JSON.stringify(cache_data), path.join(this.cache_directory, cache_name+'.json'))
     this.debuglog('cache file saved')
   }
 
+  // Segment cache files are named by a hash of their upstream URL
+  getSegmentCachePath(u) {
+    return path.join(this.segment_cache_directory, crypto.createHash('sha1').update(u).digest('hex') + '.ts')
+  }
+
+  // Get a decrypted archive segment from the disk cache, if present
+  getCachedSegment(u) {
+    if ( this.segment_cache_size > 0 ) {
+      try {
+        let segmentPath = this.getSegmentCachePath(u)
+        if ( fs.existsSync(segmentPath) ) {
+          this.debuglog('using cached segment for ' + u)
+          // file modified time tracks the last use, for LRU eviction
+          let now = new Date()
+          fs.utimesSync(segmentPath, now, now)
+          return fs.readFileSync(segmentPath)
+        }
+      } catch(e) {
+        this.log('segment cache read error : ' + e.message)
+      }
+    }
+  }
+
+  // Save a decrypted archive segment to the disk cache
+  cacheSegment(u, body) {
+    if ( this.segment_cache_size > 0 ) {
+      try {
+        this.createDirectory(this.cache_directory)
+        this.createDirectory(this.segment_cache_directory)
+        if ( typeof this.segment_cache_bytes === 'undefined' ) {
+          this.segment_cache_bytes = this.getSegmentCacheFiles().reduce((total, file) => total + file.size, 0)
+        }
+        fs.writeFileSync(this.getSegmentCachePath(u), body)
+        this.segment_cache_bytes += body.length
+        this.debuglog('cached segment for ' + u)
+        if ( this.segment_cache_bytes > (this.segment_cache_size * 1024 * 1024) ) {
+          this.pruneSegmentCache()
+        }
+      } catch(e) {
+        this.log('segment cache write error : ' + e.message)
+      }
+    }
+  }
+
+  // List cached segment files with their size and last use, oldest first
+  getSegmentCacheFiles() {
+    return fs.readdirSync(this.segment_cache_directory).map(file => {
+      let stats = fs.statSync(path.join(this.segment_cache_directory, file))
+      return { file: file, size: stats.size, mtime: stats.mtimeMs }
+    }).sort((a, b) => a.mtime - b.mtime)
+  }
+
+  // Delete least recently used segments until the cache is back under its size limit
+  pruneSegmentCache() {
+    let files = this.getSegmentCacheFiles()
+    let limit = this.segment_cache_size * 1024 * 1024
+    this.segment_cache_bytes = files.reduce((total, file) => total + file.size, 0)
+    let removed = 0
+    for (var i = 0; (i < files.length) && (this.segment_cache_bytes > limit); i++) {
+      fs.unlinkSync(path.join(this.segment_cache_directory, files[i].file))
+      this.segment_cache_bytes -= files[i].size
+      removed++
+    }
+    this.debuglog('segment cache evicted ' + removed + ' segments')
+  }
+
   // Generate a random string of specified length
   getRandomString(length) {
     var s = ''
@@ -430,68 +1039,222 @@ class sessionClass {
     return s
   }
 
-  // Generic http GET request function
+  // Generic http GET request function, rejects with an upstream error if it fails
   httpGet(reqObj) {
-    reqObj.jar = this.jar
-    return new Promise((resolve, reject) => {
-      this.request.get(reqObj)
-      .then(function(body) {
-        resolve(body)
-      })
-      .catch(function(e) {
-        console.error('http get failed : ' + e.message)
-        console.error(reqObj)
-        process.exit(1)
-      })
-    })
+    reqObj.jar = reqObj.jar || this.jar
+    return this.requestWithRetry('http get', reqObj.url, () => this.fixtureRequest('GET', reqObj, () => this.request.get(reqObj)))
   }
 
-  // Generic http POST request function
+  // Generic http POST request function, rejects with an upstream error if it fails
   httpPost(reqObj) {
-    reqObj.jar = this.jar
-    return new Promise((resolve, reject) => {
-      this.request.post(reqObj)
-      .then(function(body) {
-        resolve(body)
-      })
-      .catch(function(e) {
-        console.error('http post failed : ' + e.message)
-        console.error(reqObj)
-        process.exit(1)
-      })
+    reqObj.jar = reqObj.jar || this.jar
+    return this.requestWithRetry('http post', reqObj.url, () => this.fixtureRequest('POST', reqObj, () => this.request.post(reqObj)))
+  }
+
+  // Base URL of an upstream service
+  getUpstreamURL(name) {
+    return this.upstream_urls[name]
+  }
+
+  // Make an API request, or replay its recorded exchange in replay mode (recording it in record mode)
+  async fixtureRequest(method, reqObj, request) {
+    if ( this.fixtures.mode == 'replay' ) {
+      let fixture = this.readFixture(method, reqObj.url, reqObj.qs)
+      if ( fixture.status >= 400 ) throw this.getUpstreamError({ statusCode: fixture.status }, reqObj.url)
+      return fixture.body
+    }
+    if ( this.fixtures.mode != 'record' ) return request()
+
+    try {
+      let body = await request()
+      this.writeFixture(method, reqObj.url, reqObj.qs, { status: 200, body: body })
+      return body
+    } catch (e) {
+      if ( e.statusCode ) this.writeFixture(method, reqObj.url, reqObj.qs, { status: e.statusCode, body: e.error })
+      throw e
+    }
+  }
+
+  // Fixture file for an upstream request: named after its method and path (so one recorded on another day can be found),
+  // plus a hash of its method, URL, and query parameters
+  getFixtureFile(method, u, qs = {}) {
+    let parsed = new URL(u)
+    let params = {}
+    parsed.searchParams.forEach(function(value, key) {
+      params[key] = value
     })
+    Object.assign(params, qs)
+    for (const name of FIXTURE_IGNORED_PARAMETERS) {
+      delete params[name]
+    }
+    let key = method + ' ' + parsed.origin + parsed.pathname + ' ' + JSON.stringify(this.sortObj(params))
+    let prefix = (method + '_' + parsed.host + parsed.pathname).replace(/[^A-Za-z0-9.-]+/g, '_').substring(0, 150)
+    return { prefix: prefix, file: path.join(this.fixtures.directory, prefix + '_' + crypto.createHash('sha1').update(key).digest('hex').substring(0, 12) + '.json') }
+  }
+
+  // Save an upstream exchange as a fixture (the body as text, JSON, or base64 for binary data)
+  writeFixture(method, u, qs, fixture) {
+    try {
+      let fixture_file = this.getFixtureFile(method, u, qs)
+      let body = fixture.body
+      let saved = { method: method, url: u, status: fixture.status, headers: fixture.headers, recorded: new Date() }
+      if ( Buffer.isBuffer(body) ) {
+        saved.body_base64 = body.toString('base64')
+      } else if ( typeof body === 'object' ) {
+        saved.body_json = body
+      } else {
+        saved.body = body
+      }
+      fs.writeFileSync(fixture_file.file, JSON.stringify(saved, null, 2))
+      this.debuglog('recorded ' + method + ' ' + u + ' to ' + fixture_file.file)
+    } catch (e) {
+      this.log('error recording fixture for ' + u + ' : ' + e.message)
+    }
+  }
+
+  // Read the recorded exchange for an upstream request, or (with --replay_fallback) the latest one for the same path if that exact request wasn't recorded
+  readFixture(method, u, qs) {
+    let fixture_file = this.getFixtureFile(method, u, qs)
+    let file = fixture_file.file
+    if ( !fs.existsSync(file) ) {
+      let candidates = fs.readdirSync(this.fixtures.directory).filter(name => name.startsWith(fixture_file.prefix + '_') && (name.length == (fixture_file.prefix.length + 18)))
+      if ( !this.fixtures.fallback || (candidates.length == 0) ) {
+        this.log('no fixture recorded for ' + method + ' ' + u)
+        throw new UpstreamNotFoundError('no fixture recorded', u, 404)
+      }
+      candidates = candidates.map(name => ({ name: name, mtime: fs.statSync(path.join(this.fixtures.directory, name)).mtimeMs })).sort((a, b) => b.mtime - a.mtime)
+      file = path.join(this.fixtures.directory, candidates[0].name)
+      this.log('no exact fixture for ' + method + ' ' + u + ', using ' + file)
+    }
+    let saved = this.readFileToJson(file)
+    let body = saved.body
+    if ( typeof saved.body_base64 !== 'undefined' ) {
+      body = Buffer.from(saved.body_base64, 'base64')
+    } else if ( typeof saved.body_json !== 'undefined' ) {
+      body = saved.body_json
+    }
+    this.debuglog('replaying ' + method + ' ' + u + ' from ' + file)
+    return { status: saved.status, headers: saved.headers || {}, body: body }
+  }
+
+  // Make a request, retrying with backoff if it fails in a way that might be temporary
+  async requestWithRetry(type, url, request) {
+    for (var attempt = 0; ; attempt++) {
+      try {
+        return await request()
+      } catch (e) {
+        let error = this.getUpstreamError(e, url)
+        if ( !error.retryable || (attempt >= this.request_retries) ) {
+          this.log(type + ' failed : ' + error.message + ' : ' + url)
+          throw error
+        }
+        let delay = this.getRetryDelay(attempt)
+        this.log(type + ' failed : ' + error.message + ', retrying in ' + delay + ' seconds : ' + url)
+        await new Promise(resolve => setTimeout(resolve, delay * 1000))
+      }
+    }
+  }
+
+  // Seconds to wait before a retry (the first retry is attempt 0)
+  getRetryDelay(attempt) {
+    return Math.min(this.request_retry_delay * Math.pow(2, attempt), MAXIMUM_REQUEST_RETRY_DELAY)
+  }
+
+  // Convert a failed request's error (or error status code) into the matching upstream error type
+  getUpstreamError(e, url) {
+    if ( e instanceof UpstreamError ) return e
+    let statusCode = e.statusCode || (e.response && e.response.statusCode)
+    let code = (e.cause && e.cause.code) || (e.error && e.error.code) || e.code
+    let message = e.message || ('status code ' + statusCode)
+    if ( (statusCode == 401) || (statusCode == 403) ) return new UpstreamAuthError(message, url, statusCode)
+    if ( (statusCode == 404) || (statusCode == 410) ) return new UpstreamNotFoundError(message, url, statusCode)
+    if ( statusCode >= 500 ) return new UpstreamServerError(message, url, statusCode)
+    if ( (code == 'ETIMEDOUT') || (code == 'ESOCKETTIMEDOUT') ) return new UpstreamTimeoutError(message, url)
+    return new UpstreamError(message, url, statusCode)
   }
 
-  // request to use when fetching videos
-  streamVideo(u, opts, tries, cb) {
-    opts.jar = this.jar
-    opts.headers = {
+  // Fail a login step, for a token that couldn't be retrieved
+  authError(msg) {
+    this.log(msg)
+    throw new UpstreamAuthError(msg)
+  }
+
+  // headers to use when fetching videos
+  getStreamVideoHeaders(opts) {
+    let headers = {
       'Origin': 'https://www.milb.com',
       'Referer': 'https://www.milb.com/',
       'User-Agent': USER_AGENT
     }
     if ( opts.referer ) {
-      opts.headers['Referer'] = opts.referer
+      headers['Referer'] = opts.referer
     }
     if ( opts.origin ) {
-      opts.headers['Origin'] = opts.origin
-    }
-    this.request(u, opts, cb)
-    .catch(function(e) {
-      let curDate = new Date()
-      console.log(curDate.toLocaleString() + ' stream video failed on url : ' + u)
-      console.log(curDate.toLocaleString() + ' stream video failed with error : ' + e.message.toString())
-      if ( tries == 0 ) process.exit(1)
+      headers['Origin'] = opts.origin
+    }
+    return headers
+  }
+
+  // Cookie jar of the account which served a game's stream, since its playlists, keys and segments may depend on that account's session
+  getStreamJar(gamePk) {
+    let account_name = gamePk && this.getStreamAccount(gamePk, true)
+    let account = account_name && this.getAccounts().find(account => account.name == account_name)
+    return account ? this.getAccountJar(account) : this.jar
+  }
+
+  // request to use when fetching videos, calls back with an upstream error if it fails or gets an error status
+  // (opts.gamePk selects the cookie jar of the account serving that game)
+  streamVideo(u, opts, cb) {
+    if ( this.fixtures.mode == 'replay' ) {
+      return setImmediate(() => {
+        try {
+          let fixture = this.readFixture('GET', u)
+          if ( fixture.status >= 400 ) return cb(this.getUpstreamError({ statusCode: fixture.status }, u))
+          cb(null, { statusCode: fixture.status, headers: fixture.headers, body: fixture.body })
+        } catch (e) {
+          cb(e)
+        }
+      })
+    }
+    opts.jar = this.getStreamJar(opts.gamePk)
+    opts.headers = this.getStreamVideoHeaders(opts)
+    this.streamRequest(u, opts, (err, response) => {
+      if ( !err && (this.fixtures.mode == 'record') ) this.writeFixture('GET', u, {}, { status: response.statusCode, headers: response.headers, body: response.body })
+      if ( !err && (response.statusCode >= 400) ) err = { statusCode: response.statusCode }
+      if ( err ) {
+        let error = this.getUpstreamError(err, u)
+        this.debuglog('stream video failed with error : ' + error.message + ' : ' + u)
+        return cb(error)
+      }
+      cb(null, response)
     })
   }
 
+  // request to use when streaming videos, returns the request so its response can be piped
+  // (these aren't recorded, since they are mostly video segments, so in replay mode they fail)
+  streamVideoRequest(u, opts) {
+    if ( this.fixtures.mode == 'replay' ) {
+      let replayed = new PassThrough()
+      replayed.abort = function() {}
+      setImmediate(() => {
+        replayed.emit('error', new UpstreamNotFoundError('streamed responses are not replayed', u, 404))
+      })
+      return replayed
+    }
+    let headers = this.getStreamVideoHeaders(opts)
+    if ( opts.range ) {
+      headers['Range'] = opts.range
+    }
+    return this.streamRequest(u, { jar: this.getStreamJar(opts.gamePk), headers: headers })
+  }
+
   // API call
   async getOktaClientId() {
     this.debuglog('getOktaClientId')
     if ( !this.data.oktaClientId ) {
       this.debuglog('need to get oktaClientId')
       let reqObj = {
-        url: 'https://www.milb.com/live-stream-games',
+        url: this.getUpstreamURL('milb') + '/live-stream-games',
         headers: {
           'User-agent': USER_AGENT,
           'Origin': 'https://www.milb.com',
@@ -521,53 +1284,114 @@ class sessionClass {
       this.debuglog('using cached streamURL')
       return this.cache.media[gamePk].streamURL
     } else {
-      let playbackURL = 'https://services.mediaservices.mlbinfra.com/api/v1/playback/' + gamePk + '?sdp=WEB_MEDIAPLAYER'
-      let reqObj = {
-        url: playbackURL,
-        simple: false,
-        headers: {
-          'Authorization': 'Bearer ' + await this.getOktaAccessToken() || this.halt('missing oktaAccessToken'),
-          'User-agent': USER_AGENT,
-          'Accept': '*/*',
-          'Origin': 'https://www.milb.com',
-          'Referer': 'https://www.milb.com/',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Content-type': 'application/json'
-        },
-        gzip: true
-      }
-      var response = await this.httpGet(reqObj)
-      if ( this.isValidJson(response) ) {
-        this.debuglog('getStreamURL response : ' + response)
-        let obj = JSON.parse(response)
-        if ( obj.success && obj.data && obj.data[0] && obj.data[0].name && (obj.data[0].name == 'url') && obj.data[0].value ) {
-          var streamURL = obj.data[0].value
-          this.debuglog('getStreamURL : ' + streamURL)
-          this.cacheStreamURL(gamePk, streamURL)
-          return streamURL
+      // try each account in turn, falling back to the next one if an account is rejected
+      let accounts = this.getStreamAccounts(gamePk)
+      let auth_error
+      for (const account of accounts) {
+        try {
+          let streamURL = await this.retrieveStreamURL(gamePk, account)
+          if ( streamURL ) {
+            this.cacheStreamURL(gamePk, streamURL, account.name)
+            return streamURL
+          }
+          if ( accounts.length > 1 ) this.log('account ' + account.name + ' did not get a stream for ' + gamePk)
+        } catch (e) {
+          if ( !(e instanceof UpstreamAuthError) ) throw e
+          auth_error = e
+          this.log('account ' + account.name + ' was rejected : ' + e.message)
         }
       }
+      if ( auth_error ) throw auth_error
     }
   }
 
-  async getOktaAccessToken() {
-    // repeat up to 4 times
-    for (var i = 0; i < 4; i++) {
-      this.debuglog('getOktaAccessToken')
-      let oktaAccessToken = await this.retrieveOktaAccessToken()
-      if ( oktaAccessToken ) return oktaAccessToken
+  // API call
+  async retrieveStreamURL(gamePk, account) {
+    this.debuglog('retrieveStreamURL from ' + gamePk + ' with account ' + account.name)
+    let playbackURL = this.getUpstreamURL('playback') + '/api/v1/playback/' + gamePk + '?sdp=WEB_MEDIAPLAYER'
+    let reqObj = {
+      url: playbackURL,
+      simple: false,
+      jar: this.getAccountJar(account),
+      headers: {
+        'Authorization': 'Bearer ' + (await this.getOktaAccessToken(false, account) || this.authError('missing oktaAccessToken')),
+        'User-agent': USER_AGENT,
+        'Accept': '*/*',
+        'Origin': 'https://www.milb.com',
+        'Referer': 'https://www.milb.com/',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Content-type': 'application/json'
+      },
+      gzip: true
     }
+    var response = await this.httpGet(reqObj)
+    if ( this.isValidJson(response) ) {
+      this.debuglog('getStreamURL response : ' + response)
+      let obj = JSON.parse(response)
+      if ( obj.success && obj.data && obj.data[0] && obj.data[0].name && (obj.data[0].name == 'url') && obj.data[0].value ) {
+        var streamURL = obj.data[0].value
+        this.debuglog('getStreamURL : ' + streamURL)
+        return streamURL
+      }
+    }
+  }
+
+  // Accounts in the order to try them for a stream: the one already serving this game, if any,
+  // then the ones serving the fewest other streams (the default account first, among equals)
+  getStreamAccounts(gamePk) {
+    let streams = this.getAccountStreams()
+    let current = this.getStreamAccount(gamePk, true)
+    return this.getAccounts().map((account, index) => ({ account: account, index: index, streams: streams[account.name] || 0 })).sort(function(a, b) {
+      if ( (a.account.name == current) != (b.account.name == current) ) return (a.account.name == current) ? -1 : 1
+      return (a.streams - b.streams) || (a.index - b.index)
+    }).map(item => item.account)
+  }
+
+  // Number of recent streams served by each account
+  getAccountStreams() {
+    let streams = {}
+    for (const gamePk in (this.cache.media || {})) {
+      let account_name = this.getStreamAccount(gamePk, true)
+      if ( account_name ) streams[account_name] = (streams[account_name] || 0) + 1
+    }
+    return streams
+  }
+
+  // Name of the account which recently served a game's stream, if any
+  // (only when there is more than one account to choose from, unless all is specified)
+  getStreamAccount(gamePk, all = false) {
+    if ( !all && !(this.credentials.accounts && (this.credentials.accounts.length > 0)) ) return
+    let media = this.cache.media && this.cache.media[gamePk]
+    if ( media && media.account && media.accountTime && ((new Date() - new Date(media.accountTime)) < (ACCOUNT_STREAM_HOURS * 60 * 60 * 1000)) ) {
+      return media.account
+    }
+  }
+
+  // Get the oktaAccessToken for an account (the default one, if not specified), renewing it even if it hasn't expired yet, if forced
+  async getOktaAccessToken(force = false, account = this.getAccounts()[0]) {
+    return this.coalesceTokenRefresh(account.name + '.oktaAccessToken', async () => {
+      // repeat up to 4 times
+      for (var i = 0; i < 4; i++) {
+        this.debuglog('getOktaAccessToken')
+        let oktaAccessToken = await this.retrieveOktaAccessToken(force, account)
+        if ( oktaAccessToken ) return oktaAccessToken
+      }
+    })
   }
 
   // API call
-  async retrieveOktaAccessToken() {
-    this.debuglog('retrieveOktaAccessToken')
-    if ( !this.data.oktaAccessToken || !this.data.oktaAccessTokenExpiry || (Date.parse(this.data.oktaAccessTokenExpiry) < new Date()) ) {
+  async retrieveOktaAccessToken(force = false, account = this.getAccounts()[0]) {
+    this.debuglog('retrieveOktaAccessToken for account ' + account.name)
+    let data = this.getAccountData(account)
+    if ( force || !data.oktaAccessToken || !data.oktaAccessTokenExpiry || (Date.parse(data.oktaAccessTokenExpiry) < new Date()) ) {
       this.debuglog('need to get oktaAccessToken')
+      // when renewing early, renew an authnSessionToken which is about to expire too, so it can't expire partway through
+      let renew_authn = force && this.isTokenExpiring(data.authnSessionTokenExpiry)
       let state = this.getRandomString(64)
       let nonce = this.getRandomString(64)
       let reqObj = {
-        url: 'https://ids.milb.com/oauth2/aus9hfi7yyG0nCpgc356/v1/authorize',
+        url: this.getUpstreamURL('ids') + '/oauth2/aus9hfi7yyG0nCpgc356/v1/authorize',
+        jar: this.getAccountJar(account),
         headers: {
           'User-Agent': USER_AGENT,
           'Accept-Encoding': 'identity',
@@ -575,14 +1399,14 @@ class sessionClass {
           'Origin': 'https://www.milb.com'
         },
         qs: {
-          'client_id': await this.getOktaClientId() || this.halt('missing oktaClientId'),
+          'client_id': await this.getOktaClientId() || this.authError('missing oktaClientId'),
           'redirect_uri': 'https://www.milb.com/login',
           'response_type': 'id_token token',
           'response_mode': 'okta_post_message',
           'state': state,
           'nonce': nonce,
           'prompt': 'none',
-          'sessionToken': await this.getAuthnSessionToken() || this.halt('missing authnSessionToken'),
+          'sessionToken': await this.getAuthnSessionToken(renew_authn, account) || this.authError('missing authnSessionToken'),
           'scope': 'openid email'
         }
       }
@@ -593,8 +1417,8 @@ class sessionClass {
         var errorParsed = str.match("data.error = 'login_required'")
         if ( errorParsed ) {
           // Need to log in again
-          this.log('Logging in...')
-          this.data.authnSessionToken = null
+          this.log('Logging in' + ((account.name != DEFAULT_ACCOUNT_NAME) ? (' account ' + account.name) : '') + '...')
+          data.authnSessionToken = null
           this.save_session_data()
           return false
         } else {
@@ -605,27 +1429,34 @@ class sessionClass {
             let oktaAccessTokenExpiry = parsed_expiry[1]
             this.debuglog('retrieveOktaAccessToken : ' + oktaAccessToken)
             this.debuglog('retrieveOktaAccessToken expires in : ' + oktaAccessTokenExpiry)
-            this.data.oktaAccessToken = oktaAccessToken
-            this.data.oktaAccessTokenExpiry = new Date(new Date().getTime() + oktaAccessTokenExpiry * 1000)
+            data.oktaAccessToken = oktaAccessToken
+            data.oktaAccessTokenExpiry = new Date(new Date().getTime() + oktaAccessTokenExpiry * 1000)
             this.save_session_data()
-            return this.data.oktaAccessToken
+            return data.oktaAccessToken
           } else {
             this.log('retrieveOktaAccessToken parse failure')
           }
         }
       }
     } else {
-      return this.data.oktaAccessToken
+      return data.oktaAccessToken
     }
   }
 
+  // Get the authnSessionToken for an account (logging in again even if it hasn't expired yet, if forced)
+  async getAuthnSessionToken(force = false, account = this.getAccounts()[0]) {
+    return this.coalesceTokenRefresh(account.name + '.authnSessionToken', () => this.retrieveAuthnSessionToken(force, account))
+  }
+
   // API call
-  async getAuthnSessionToken() {
-    this.debuglog('getAuthnSessionToken')
-    if ( !this.data.authnSessionToken || !this.data.authnSessionTokenExpiry || (this.data.authnSessionTokenExpiry < new Date()) ) {
+  async retrieveAuthnSessionToken(force = false, account = this.getAccounts()[0]) {
+    this.debuglog('retrieveAuthnSessionToken for account ' + account.name)
+    let data = this.getAccountData(account)
+    if ( force || !data.authnSessionToken || !data.authnSessionTokenExpiry || (data.authnSessionTokenExpiry < new Date()) ) {
       this.debuglog('need to get authnSessionToken')
       let reqObj = {
-        url: 'https://ids.milb.com/api/v1/authn',
+        url: this.getUpstreamURL('ids') + '/api/v1/authn',
+        jar: this.getAccountJar(account),
         headers: {
           'User-Agent': USER_AGENT,
           'Accept-Encoding': 'identity',
@@ -634,8 +1465,8 @@ class sessionClass {
           'Origin': 'https://www.milb.com'
         },
         json: {
-          'username': this.credentials.account_username || this.halt('missing username'),
-          'password': this.credentials.account_password || this.halt('missing password'),
+          'username': account.username || this.authError('missing username for account ' + account.name),
+          'password': account.password || this.authError('missing password for account ' + account.name),
           'options': {
             'multiOptionalFactorEnroll': false,
             'warnBeforePasswordExpired': true
@@ -646,14 +1477,93 @@ class sessionClass {
       if ( response.sessionToken ) {
         this.debuglog('getAuthnSessionToken response : ' + JSON.stringify(response))
         this.debuglog('getAuthnSessionToken : ' + response.sessionToken)
-        this.data.authnSessionToken = response.sessionToken
-        this.data.authnSessionTokenExpiry = Date.parse(response.expiresAt)
+        data.authnSessionToken = response.sessionToken
+        data.authnSessionTokenExpiry = Date.parse(response.expiresAt)
         this.save_session_data()
-        return this.data.authnSessionToken
+        return data.authnSessionToken
       }
     } else {
-      return this.data.authnSessionToken
+      return data.authnSessionToken
+    }
+  }
+
+  // Run a token refresh, or join the one already in progress for the same token
+  coalesceTokenRefresh(name, refresh) {
+    if ( !this.token_refreshes[name] ) {
+      this.token_refreshes[name] = refresh().finally(() => {
+        delete this.token_refreshes[name]
+      })
+    } else {
+      this.debuglog('waiting for ' + name + ' refresh in progress')
+    }
+    return this.token_refreshes[name]
+  }
+
+  // Seconds until a token expiry (negative if it has passed), or false if there is none
+  getTokenExpiresIn(expiry) {
+    if ( !expiry ) return false
+    return Math.round((new Date(expiry) - new Date()) / 1000)
+  }
+
+  isTokenExpiring(expiry) {
+    let expires_in = this.getTokenExpiresIn(expiry)
+    return ((expires_in === false) || (expires_in <= TOKEN_REFRESH_MARGIN_SECONDS))
+  }
+
+  // Renew each account's oktaAccessToken (and the authnSessionToken behind it, as needed) before it expires,
+  // so the next stream request doesn't have to wait for a login
+  // (only once a token has been used, so an unused server or account doesn't log in)
+  async refreshTokens() {
+    this.token_refresh_status.last_check = new Date()
+    for (const account of this.getAccounts()) {
+      let data = this.getAccountData(account)
+      if ( !data.oktaAccessToken || !this.isTokenExpiring(data.oktaAccessTokenExpiry) ) continue
+
+      let status = this.getTokenRefreshStatus(account.name)
+      try {
+        this.debuglog('refreshing oktaAccessToken for account ' + account.name + ' before it expires')
+        if ( await this.getOktaAccessToken(true, account) ) {
+          status.last_refresh = new Date()
+          status.last_error = null
+        } else {
+          status.last_error = 'failed to get oktaAccessToken'
+          this.log('background token refresh failed for account ' + account.name)
+        }
+      } catch (e) {
+        status.last_error = e.message
+        this.log('background token refresh error for account ' + account.name + ' : ' + e.message)
+      }
+    }
+  }
+
+  getTokenRefreshStatus(account_name) {
+    if ( !this.token_refresh_status.accounts[account_name] ) {
+      this.token_refresh_status.accounts[account_name] = { last_refresh: null, last_error: null }
     }
+    return this.token_refresh_status.accounts[account_name]
+  }
+
+  // Token health for each account, without the tokens themselves (or the account credentials)
+  getTokenStatus() {
+    let streams = this.getAccountStreams()
+    let accounts = {}
+    for (const account of this.getAccounts()) {
+      let data = this.getAccountData(account)
+      let tokens = {}
+      for (const name of ['oktaAccessToken', 'authnSessionToken']) {
+        let expiry = data[name + 'Expiry']
+        let expires_in = this.getTokenExpiresIn(expiry)
+        tokens[name] = {
+          present: data[name] ? true : false,
+          expiry: expiry ? new Date(expiry) : null,
+          expires_in: expires_in,
+          valid: (data[name] && (expires_in > 0)) ? true : false,
+          refreshing: this.token_refreshes[account.name + '.' + name] ? true : false
+        }
+      }
+      accounts[account.name] = Object.assign({ tokens: tokens, streams: streams[account.name] || 0 }, this.getTokenRefreshStatus(account.name))
+    }
+    return { refresh_margin: TOKEN_REFRESH_MARGIN_SECONDS, last_check: this.token_refresh_status.last_check, accounts: accounts }
   }
 
   // get gamePk for a live channel request
@@ -708,6 +1618,7 @@ class sessionClass {
       }
       this.log('could not find gamePk')
     } catch(e) {
+      if ( e instanceof UpstreamError ) throw e
       this.log('getGamePk error : ' + e.message)
     }
   }
@@ -723,10 +1634,10 @@ class sessionClass {
       this.debuglog('getDayData for date ' + dateString + ', levels ' + level_ids + ', teams ' + team_ids)
       cache_name += '.' + level_ids
       if ( team_ids != '' ) cache_name += '.' + team_ids
-      let cache_file = path.join(CACHE_DIRECTORY, cache_name+'.json')
+      let cache_file = path.join(this.cache_directory, cache_name+'.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.dates || !this.cache.dates[cache_name] || !this.cache.dates[cache_name].dateCacheExpiry || (currentDate > new Date(this.cache.dates[cache_name].dateCacheExpiry)) ) {
-        let url = 'https://bdfed.stitch.mlbinfra.com/bdfed/transform-mlb-scoreboard?stitch_env=prod&sortTemplate=2&sportId=' + level_ids + '&startDate=' + dateString + '&endDate=' + dateString + '&gameType=E&&gameType=S&&gameType=R&&gameType=F&&gameType=D&&gameType=L&&gameType=W&&gameType=A&language=en'
+        let url = this.getUpstreamURL('scoreboard') + '/bdfed/transform-mlb-scoreboard?stitch_env=prod&sortTemplate=2&sportId=' + level_ids + '&startDate=' + dateString + '&endDate=' + dateString + '&gameType=E&&gameType=S&&gameType=R&&gameType=F&&gameType=D&&gameType=L&&gameType=W&&gameType=A&language=en'
         if ( team_ids != '' ) url += '&teamIds=' + team_ids
         let reqObj = {
           url: url,
@@ -795,6 +1706,7 @@ class sessionClass {
         return cache_data
       }
     } catch(e) {
+      if ( e instanceof UpstreamError ) throw e
       this.log('getDayData error : ' + e.message)
     }
   }
@@ -809,7 +1721,7 @@ class sessionClass {
 
       let cache_data
       let cache_name = 'week'
-      let cache_file = path.join(CACHE_DIRECTORY, cache_name + '.json')
+      let cache_file = path.join(this.cache_directory, cache_name + '.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.weekCacheExpiry || (currentDate > new Date(this.cache.weekCacheExpiry)) ) {
         let startDate = this.liveDate(utcHours)
@@ -817,7 +1729,7 @@ class sessionClass {
         endDate.setDate(endDate.getDate()+20)
         endDate = endDate.toISOString().substring(0,10)
         let reqObj = {
-          url: 'https://statsapi.mlb.com/api/v1/schedule?sportId=' + LEVELS['All'] + '&startDate=' + startDate + '&endDate=' + endDate + '&gameTypes=A,R,F,D,L,W,C&hydrate=broadcasts,probablePitcher,team&language=en',
+          url: this.getUpstreamURL('statsapi') + '/api/v1/schedule?sportId=' + LEVELS['All'] + '&startDate=' + startDate + '&endDate=' + endDate + '&gameTypes=A,R,F,D,L,W,C&hydrate=broadcasts,probablePitcher,team&language=en',
           headers: {
             'User-agent': USER_AGENT,
             'Origin': 'https://www.milb.com',
@@ -849,12 +1761,32 @@ class sessionClass {
         return cache_data
       }
     } catch(e) {
+      if ( e instanceof UpstreamError ) throw e
       this.log('getWeeksData error : ' + e.message)
     }
   }
 
+  // Day-long guide programs for a multiview channel
+  getMultiviewPrograms(cache_data, channelid, title, description, logo) {
+    let programs = ''
+    for (var i = 0; i < cache_data.dates.length; i++) {
+      let gameDate = new Date(cache_data.dates[i].date + 'T00:00:00.000')
+      let start = this.convertDateToXMLTV(gameDate)
+      gameDate.setDate(gameDate.getDate()+1)
+      let stop = this.convertDateToXMLTV(gameDate)
+
+      programs += "\n" + '    <programme channel="' + channelid + '" start="' + start + '" stop="' + stop + '">' + "\n" +
+      '      <title lang="en">' + title + '</title>' + "\n" +
+      '      <desc lang="en">' + description.trim() + '</desc>' + "\n" +
+      '      <category lang="en">Sports</category>' + "\n" +
+      '      <icon src="' + logo + '"></icon>' + "\n" +
+      '    </programme>'
+    }
+    return programs
+  }
+
   // get TV data (channels or guide)
-  async getTVData(dataType, includeTeams, excludeTeams, includeOrgs, server, resolution='best', pipe='false', startingChannelNumber=1) {
+  async getTVData(dataType, includeTeams, excludeTeams, includeOrgs, server, resolution='best', pipe='false', startingChannelNumber=1, spoiler_free=false) {
     try {
       this.debuglog('getTVData')
 
@@ -897,6 +1829,7 @@ class sessionClass {
                 let channelid = mediaType + '.' + channel_name
                 let stream = server + '/stream.m3u8?teamId=' + encodeURIComponent(team_id)
                 stream += '&resolution=' + resolution
+                if ( spoiler_free ) stream += '&spoiler_free=on'
                 if ( this.protection.content_protect ) stream += '&content_protect=' + this.protection.content_protect
                 if ( pipe == 'true' ) {
                   stream = 'pipe://ffmpeg -hide_banner -loglevel fatal -i "' + stream + '" -map 0:v -map 0:a -c copy -metadata service_provider="' + mediaType + '" -metadata service_name="' + channelid + '" -f mpegts pipe:1'
@@ -933,7 +1866,8 @@ class sessionClass {
                 // Handle suspended, TBD, and doubleheaders
                 if ( cache_data.dates[i].games[j].status.resumedFrom ) {
                   gameHours = 1
-                  if ( cache_data.dates[i].games[j].description ) {
+                  // game descriptions can mention how a game ended, so they are left out in spoiler-free mode
+                  if ( cache_data.dates[i].games[j].description && !spoiler_free ) {
                     description += cache_data.dates[i].games[j].description
                   } else {
                     description += 'Resumption of suspended game.'
@@ -981,24 +1915,29 @@ class sessionClass {
             extraChannels[channelid].logo = logo
             extraChannels[channelid].stream = stream
             extraChannels[channelid].mediatype = mediaType
-            channels = Object.assign(channels, extraChannels)
 
             let title = 'MiLB.TV Multiview'
-            let description = 'Watch up to 4 games at once. Requires starting the multiview stream in the web interface first, and stopping it when done.'
-
-            for (var i = 0; i < cache_data.dates.length; i++) {
-              let gameDate = new Date(cache_data.dates[i].date + 'T00:00:00.000')
-              let start = this.convertDateToXMLTV(gameDate)
-              gameDate.setDate(gameDate.getDate()+1)
-              let stop = this.convertDateToXMLTV(gameDate)
-
-              programs += "\n" + '    <programme channel="' + channelid + '" start="' + start + '" stop="' + stop + '">' + "\n" +
-              '      <title lang="en">' + title + '</title>' + "\n" +
-              '      <desc lang="en">' + description.trim() + '</desc>' + "\n" +
-              '      <category lang="en">Sports</category>' + "\n" +
-              '      <icon src="' + logo + '"></icon>' + "\n" +
-              '    </programme>'
+            let description = 'Watch up to 9 games at once. Requires starting the multiview stream in the web interface first, and stopping it when done.'
+            programs += this.getMultiviewPrograms(cache_data, channelid, title, description, logo)
+
+            // Saved multiview presets start when their channel is played, and stop after no one has watched for a while
+            let preset_names = this.getMultiviewPresetNames()
+            for (var i = 0; i < preset_names.length; i++) {
+              let preset_channelid = channelid + '.' + preset_names[i]
+              let preset_stream = server + '/multiview/preset.m3u8?preset=' + encodeURIComponent(preset_names[i])
+              if ( this.protection.content_protect ) preset_stream += '&content_protect=' + this.protection.content_protect
+              if ( pipe == 'true' ) {
+                preset_stream = 'pipe://ffmpeg -hide_banner -loglevel fatal -i "' + preset_stream + '" -map 0:v -map 0:a -c copy -metadata service_provider="MLBTV" -metadata service_name="' + preset_channelid + '" -f mpegts pipe:1'
+              }
+              extraChannels[preset_channelid] = {}
+              extraChannels[preset_channelid].name = preset_channelid
+              extraChannels[preset_channelid].logo = logo
+              extraChannels[preset_channelid].stream = preset_stream
+              extraChannels[preset_channelid].mediatype = mediaType
+
+              programs += this.getMultiviewPrograms(cache_data, preset_channelid, title + ': ' + preset_names[i], 'Multiview preset ' + preset_names[i] + ', with today\'s games for its teams. Starts when played.', logo)
             }
+            channels = Object.assign(channels, extraChannels)
           }
         }
 
@@ -1032,6 +1971,7 @@ class sessionClass {
         return body
       }
     } catch(e) {
+      if ( e instanceof UpstreamError ) throw e
       this.log('getTVData error : ' + e.message)
     }
   }
@@ -1039,15 +1979,15 @@ class sessionClass {
   // Get image from cache or request
   async getImage(teamId) {
     this.debuglog('getImage ' + teamId)
-    let imagePath = path.join(CACHE_DIRECTORY, teamId + '.svg')
+    let imagePath = path.join(this.cache_directory, teamId + '.svg')
     if ( fs.existsSync(imagePath) ) {
       this.debuglog('using cached image for ' + teamId)
       return fs.readFileSync(imagePath)
     } else {
       this.debuglog('requesting new image for ' + teamId)
-      let imageURL = 'https://www.mlbstatic.com/team-logos/' + teamId + '.svg'
+      let imageURL = this.getUpstreamURL('images') + '/team-logos/' + teamId + '.svg'
       if ( teamId == 'MILB' ) {
-        imageURL = 'https://www.mlbstatic.com/team-logos/league-on-dark/milb-alt.svg'
+        imageURL = this.getUpstreamURL('images') + '/team-logos/league-on-dark/milb-alt.svg'
       }
       let reqObj = {
         url: imageURL,
@@ -1067,6 +2007,230 @@ class sessionClass {
     }
   }
 
+  // Names of the saved multiview presets, alphabetically
+  getMultiviewPresetNames() {
+    return Object.keys(this.multiview_presets).sort()
+  }
+
+  getMultiviewPreset(name) {
+    return this.multiview_presets[name]
+  }
+
+  setMultiviewPreset(name, preset) {
+    this.log('saving multiview preset ' + name)
+    this.multiview_presets[name] = preset
+    this.save_multiview_presets()
+  }
+
+  deleteMultiviewPreset(name) {
+    if ( this.multiview_presets[name] ) {
+      this.log('deleting multiview preset ' + name)
+      delete this.multiview_presets[name]
+      this.save_multiview_presets()
+    }
+  }
+
+  // Add a rule to record all games for a team id or an org
+  addRecordingRule(rule) {
+    for (var i = 0; i < this.recordings.rules.length; i++) {
+      if ( (this.recordings.rules[i].teamId == rule.teamId) && (this.recordings.rules[i].org == rule.org) ) {
+        this.recordings.rules[i] = rule
+        this.save_recordings_data()
+        return
+      }
+    }
+    this.log('adding recording rule for ' + (rule.teamId ? 'team ' + rule.teamId : 'org ' + rule.org))
+    this.recordings.rules.push(rule)
+    this.save_recordings_data()
+  }
+
+  removeRecordingRule(index) {
+    if ( this.recordings.rules[index] ) {
+      this.log('removing recording rule ' + index)
+      this.recordings.rules.splice(index, 1)
+      this.save_recordings_data()
+    }
+  }
+
+  getRecording(id) {
+    for (var i = 0; i < this.recordings.library.length; i++) {
+      if ( this.recordings.library[i].id == id ) {
+        return this.recordings.library[i]
+      }
+    }
+  }
+
+  addRecording(recording) {
+    this.recordings.library.push(recording)
+    this.save_recordings_data()
+  }
+
+  updateRecording(id, fields) {
+    let recording = this.getRecording(id)
+    if ( recording ) {
+      Object.assign(recording, fields)
+      this.save_recordings_data()
+    }
+  }
+
+  // Delete a recording's file and remove it from the library
+  deleteRecording(id) {
+    let recording = this.getRecording(id)
+    if ( recording ) {
+      this.log('deleting recording ' + recording.file)
+      try {
+        fs.unlinkSync(path.join(this.recordings_path, recording.file))
+      } catch(e) {
+        this.debuglog('recording file cannot be deleted or does not exist : ' + e.message)
+      }
+      this.recordings.library.splice(this.recordings.library.indexOf(recording), 1)
+      this.save_recordings_data()
+      return true
+    }
+    return false
+  }
+
+  // Remember a deleted recording's game, forgetting ones deleted long enough ago that they can't be scheduled again
+  markRecordingDeleted(gamePk) {
+    let oldest = new Date().getTime() - DELETED_RECORDING_DAYS * 24 * 60 * 60 * 1000
+    for (const deleted_gamePk in this.recordings.deleted) {
+      if ( new Date(this.recordings.deleted[deleted_gamePk]).getTime() < oldest ) delete this.recordings.deleted[deleted_gamePk]
+    }
+    this.recordings.deleted[gamePk] = new Date()
+    this.save_recordings_data()
+  }
+
+  isRecordingDeleted(gamePk) {
+    return (typeof this.recordings.deleted[gamePk] !== 'undefined')
+  }
+
+  // Recordings still marked as recording when the server starts were interrupted
+  markInterruptedRecordings() {
+    let interrupted = []
+    for (var i = 0; i < this.recordings.library.length; i++) {
+      if ( (this.recordings.library[i].status == 'recording') || (this.recordings.library[i].status == 'processing') ) {
+        this.recordings.library[i].status = 'interrupted'
+        interrupted.push(this.recordings.library[i].id)
+      }
+    }
+    this.save_recordings_data()
+    return interrupted
+  }
+
+  // Delete the oldest recordings past the age limit, or until the library is under the size limit
+  enforceRecordingRetention() {
+    // (leaving out ones still being recorded or processed)
+    let finished = this.recordings.library.filter(recording => ((recording.status != 'recording') && (recording.status != 'processing')))
+    finished.sort((a, b) => new Date(a.started) - new Date(b.started))
+    if ( this.recordings_max_days > 0 ) {
+      let oldest = new Date(new Date().getTime() - this.recordings_max_days * 24 * 60 * 60 * 1000)
+      while ( (finished.length > 0) && (new Date(finished[0].started) < oldest) ) {
+        this.log('recording past retention age')
+        this.deleteRecording(finished.shift().id)
+      }
+    }
+    if ( this.recordings_max_size > 0 ) {
+      let total_size = 0
+      for (var i = 0; i < this.recordings.library.length; i++) {
+        total_size += this.getRecordingSize(this.recordings.library[i])
+      }
+      let limit = this.recordings_max_size * 1024 * 1024 * 1024
+      while ( (finished.length > 0) && (total_size > limit) ) {
+        this.log('recordings over retention size')
+        let recording = finished.shift()
+        total_size -= this.getRecordingSize(recording)
+        this.deleteRecording(recording.id)
+      }
+    }
+  }
+
+  getRecordingSize(recording) {
+    try {
+      return fs.statSync(path.join(this.recordings_path, recording.file)).size
+    } catch(e) {
+      return 0
+    }
+  }
+
+  // Get upcoming games matching the recording rules, from the same schedule data as the guide
+  async getRecordingSchedule() {
+    try {
+      this.debuglog('getRecordingSchedule')
+
+      let schedule = []
+      let cache_data = await this.getWeeksData()
+      if (cache_data) {
+        for (var i = 0; i < cache_data.dates.length; i++) {
+          for (var j = 0; j < cache_data.dates[i].games.length; j++) {
+            let game = cache_data.dates[i].games[j]
+            let broadcast = false
+            if ( typeof game.broadcasts !== 'undefined' ) {
+              for (var k = 0; k < game.broadcasts.length; k++) {
+                if ( game.broadcasts[k].name == 'MiLB.TV' ) {
+                  broadcast = true
+                  break
+                }
+              }
+            }
+            if ( broadcast == true ) {
+              let home_team_id = game.teams['home'].team.id.toString()
+              let away_team_id = game.teams['away'].team.id.toString()
+              let home_parent = this.getParent(game.teams['home'].team.parentOrgName).toUpperCase()
+              let away_parent = this.getParent(game.teams['away'].team.parentOrgName).toUpperCase()
+              for (var k = 0; k < this.recordings.rules.length; k++) {
+                let rule = this.recordings.rules[k]
+                let team_id
+                if ( rule.teamId && ((rule.teamId == home_team_id) || (rule.teamId == away_team_id)) ) {
+                  team_id = rule.teamId
+                } else if ( rule.org && (rule.org.toUpperCase() == away_parent) ) {
+                  team_id = away_team_id
+                } else if ( rule.org && (rule.org.toUpperCase() == home_parent) ) {
+                  team_id = home_team_id
+                }
+                if ( team_id ) {
+                  schedule.push({
+                    gamePk: game.gamePk,
+                    date: game.officialDate,
+                    gameDate: game.gameDate,
+                    teamId: team_id,
+                    resolution: rule.resolution,
+                    title: game.teams['away'].team.shortName + ' at ' + game.teams['home'].team.shortName
+                  })
+                  break
+                }
+              }
+            }
+          }
+        }
+      }
+      return schedule
+    } catch(e) {
+      this.log('getRecordingSchedule error : ' + e.message)
+    }
+  }
+
+  // Get the MiLB.TV media state of a game (MEDIA_OFF, MEDIA_ON, or MEDIA_ARCHIVE)
+  async getMediaState(gamePk, dateString, team_id) {
+    try {
+      this.debuglog('getMediaState for ' + gamePk)
+
+      let mediaType = 'MiLBTV'
+
+      let cache_data = await this.getDayData(dateString, '', team_id)
+      for (var j = 0; j < cache_data.dates[0].games.length; j++) {
+        if ( (cache_data.dates[0].games[j].gamePk == gamePk) && cache_data.dates[0].games[j].content && cache_data.dates[0].games[j].content.media && cache_data.dates[0].games[j].content.media.epg ) {
+          for (var k = 0; k < cache_data.dates[0].games[j].content.media.epg.length; k++) {
+            if ( (cache_data.dates[0].games[j].content.media.epg[k].title == mediaType) && cache_data.dates[0].games[j].content.media.epg[k].items[0] ) {
+              return cache_data.dates[0].games[j].content.media.epg[k].items[0].mediaState
+            }
+          }
+        }
+      }
+    } catch(e) {
+      this.log('getMediaState error : ' + e.message)
+    }
+  }
+
   // Get gameday data for a game (play and pitch data)
   async getGamedayData(gamePk) {
     try {
@@ -1074,11 +2238,11 @@ class sessionClass {
 
       let cache_data
       let cache_name = 'g' + gamePk
-      let cache_file = path.join(CACHE_DIRECTORY, cache_name+'.json')
+      let cache_file = path.join(this.cache_directory, cache_name+'.json')
       let currentDate = new Date()
       if ( !fs.existsSync(cache_file) || !this.cache || !this.cache.gameday || !this.cache.gameday[cache_name] || !this.cache.gameday[cache_name].gamedayCacheExpiry || (currentDate > new Date(this.cache.gameday[cache_name].gamedayCacheExpiry)) ) {
         let reqObj = {
-          url: 'http://statsapi.mlb.com/api/v1.1/game/' + gamePk + '/feed/live',
+          url: this.getUpstreamURL('statsapi') + '/api/v1.1/game/' + gamePk + '/feed/live',
           headers: {
             'User-agent': USER_AGENT,
             'Origin': 'https://www.milb.com',
@@ -1124,14 +2288,120 @@ class sessionClass {
         return cache_data
       }
     } catch(e) {
+      if ( e instanceof UpstreamError ) throw e
       this.log('getGamedayData error : ' + e.message)
     }
   }
 
+  // Force the next getGamedayData call for a game to fetch fresh data (live games are otherwise cached for 5 minutes)
+  expireGamedayCache(gamePk) {
+    let cache_name = 'g' + gamePk
+    if ( this.cache && this.cache.gameday && this.cache.gameday[cache_name] ) {
+      this.cache.gameday[cache_name].gamedayCacheExpiry = new Date()
+    }
+  }
+
+  // Score how interesting a game's current situation is, for multiview featured game switching:
+  // runners on base (especially in scoring position), late or extra innings, a close score, and a listed prospect at bat
+  // Returns -1 if the game isn't live, or 0 between innings
+  getGameSituationScore(cache_data, prospects = []) {
+    if ( !cache_data || !cache_data.gameData || (cache_data.gameData.status.abstractGameState != 'Live') || !cache_data.liveData.linescore ) return -1
+
+    let linescore = cache_data.liveData.linescore
+    if ( (linescore.inningState == 'Middle') || (linescore.inningState == 'End') ) return 0
+
+    let score = 1
+    let offense = linescore.offense || {}
+    if ( offense.second || offense.third ) {
+      score += 3
+      if ( offense.first && offense.second && offense.third ) score += 1
+      if ( linescore.outs == 2 ) score += 1
+    } else if ( offense.first ) {
+      score += 1
+    }
+
+    let scheduled_innings = linescore.scheduledInnings || 9
+    if ( linescore.currentInning > scheduled_innings ) {
+      score += 3
+    } else if ( linescore.currentInning >= (scheduled_innings - 2) ) {
+      score += 2
+    }
+
+    let run_difference = Math.abs(((linescore.teams.home && linescore.teams.home.runs) || 0) - ((linescore.teams.away && linescore.teams.away.runs) || 0))
+    if ( run_difference <= 1 ) {
+      score += 3
+    } else if ( run_difference <= 3 ) {
+      score += 1
+    }
+
+    if ( offense.batter && prospects.includes(offense.batter.id) ) score += 3
+
+    return score
+  }
+
+  // Skip markers, inning markers, and broadcast start timestamps are saved in a cache file alongside the gameday data
+  getMarkersCacheFile(gamePk) {
+    return path.join(this.cache_directory, 'm' + gamePk + '.json')
+  }
+
+  // Returns saved markers, as long as they were calculated from the current gameday data
+  getSavedMarkers(gamePk, marker_type, key) {
+    let cache_data = this.readFileToJson(this.getMarkersCacheFile(gamePk))
+    if ( cache_data && cache_data[marker_type] && cache_data[marker_type][key] ) {
+      let saved = cache_data[marker_type][key]
+      if ( !saved.expiry ) {
+        return saved.data
+      }
+      let cache_name = 'g' + gamePk
+      if ( this.cache && this.cache.gameday && this.cache.gameday[cache_name] && this.cache.gameday[cache_name].gamedayCacheExpiry ) {
+        let gamedayCacheExpiry = new Date(this.cache.gameday[cache_name].gamedayCacheExpiry)
+        if ( (new Date(saved.expiry).getTime() == gamedayCacheExpiry.getTime()) && (new Date() < gamedayCacheExpiry) ) {
+          return saved.data
+        }
+      }
+    }
+  }
+
+  // Save markers, tagged with the gameday cache expiry they were calculated from (unless they don't depend on gameday data)
+  saveMarkers(gamePk, marker_type, key, data, expires=true) {
+    try {
+      let saved = { data: data }
+      if ( expires ) {
+        let cache_name = 'g' + gamePk
+        if ( !this.cache || !this.cache.gameday || !this.cache.gameday[cache_name] || !this.cache.gameday[cache_name].gamedayCacheExpiry ) {
+          return
+        }
+        saved.expiry = this.cache.gameday[cache_name].gamedayCacheExpiry
+      }
+      let cache_data = this.readFileToJson(this.getMarkersCacheFile(gamePk)) || {}
+      if ( !cache_data[marker_type] ) {
+        cache_data[marker_type] = {}
+      }
+      cache_data[marker_type][key] = saved
+      this.save_json_cache_file('m' + gamePk, cache_data)
+    } catch(e) {
+      this.log('saveMarkers error : ' + e.message)
+    }
+  }
+
+  // Check for a broadcast start timestamp in temporary cache, or restore it from the markers cache file
+  hasBroadcastStart(gamePk) {
+    if ( !this.temp_cache[gamePk] ) {
+      this.temp_cache[gamePk] = {}
+    }
+    if ( !this.temp_cache[gamePk].broadcast_start_timestamp ) {
+      let broadcast_start_timestamp = this.getSavedMarkers(gamePk, 'broadcast_start', 'timestamp')
+      if ( broadcast_start_timestamp ) {
+        this.temp_cache[gamePk].broadcast_start_timestamp = new Date(broadcast_start_timestamp)
+      }
+    }
+    return (this.temp_cache[gamePk].broadcast_start_timestamp ? true : false)
+  }
+
   // Get broadcast start timestamp
   async getBroadcastStart(streamURL, gamePk) {
     this.debuglog('getBroadcastStart')
-    if ( this.temp_cache && this.temp_cache[gamePk] && this.temp_cache[gamePk].broadcast_start_timestamp ) {
+    if ( this.hasBroadcastStart(gamePk) ) {
       this.debuglog('using cached broadcast start timestamp')
       return true
     } else {
@@ -1143,7 +2413,8 @@ class sessionClass {
           'Origin': 'https://www.milb.com',
           'Referer': 'https://www.milb.com/',
           'User-Agent': USER_AGENT
-        }
+        },
+        jar: this.getStreamJar(gamePk)
       }
       var response = await this.httpGet(reqObj)
       var body = response.toString().trim().split('\n')
@@ -1159,6 +2430,7 @@ class sessionClass {
           this.temp_cache[gamePk] = {}
         }
         this.temp_cache[gamePk].broadcast_start_timestamp = broadcast_start_timestamp
+        this.saveMarkers(gamePk, 'broadcast_start', 'timestamp', broadcast_start_timestamp, false)
         return true
       } else {
         this.log('Failed to find broadcast start timestamp from ' + url)
@@ -1167,8 +2439,228 @@ class sessionClass {
     }
   }
 
+  // Get inning start times (in seconds relative to the broadcast start) into temporary cache, for chapters
+  async getInningMarkers(gamePk, skip_adjust = 0) {
+    try {
+      this.debuglog('getInningMarkers')
+
+      let saved_markers = this.getSavedMarkers(gamePk, 'inning_markers', skip_adjust)
+      if ( saved_markers ) {
+        this.debuglog('using cached inning markers')
+        this.temp_cache[gamePk].inning_markers = saved_markers
+        return saved_markers
+      }
+
+      let inning_markers = []
+
+      let broadcast_start_timestamp = this.temp_cache[gamePk].broadcast_start_timestamp
+
+      let cache_data = await this.getGamedayData(gamePk)
+
+      // make sure we have play data
+      if (cache_data && cache_data.liveData && cache_data.liveData.plays && cache_data.liveData.plays.allPlays) {
+        // whether the bottom of the last scheduled inning or extra innings are played depends on the score
+        let scheduled_innings = (cache_data.liveData.linescore && cache_data.liveData.linescore.scheduledInnings) || 9
+
+        let previous_inning = 0
+        let previous_inning_half = ''
+
+        for (var i=0; i < cache_data.liveData.plays.allPlays.length; i++) {
+          let current_inning = cache_data.liveData.plays.allPlays[i].about.inning
+          let current_inning_half = cache_data.liveData.plays.allPlays[i].about.halfInning
+          if ((current_inning == previous_inning) && (current_inning_half == previous_inning_half)) continue
+
+          // the half inning starts with its first event that isn't a break type (usually the first pitch)
+          for (var j=0; j < cache_data.liveData.plays.allPlays[i].playEvents.length; j++) {
+            let playEvent = cache_data.liveData.plays.allPlays[i].playEvents[j]
+            if (playEvent.details && playEvent.details.event && BREAK_TYPES.includes(playEvent.details.event)) continue
+            if (playEvent.startTime) {
+              inning_markers.push({
+                'inning': current_inning,
+                'inning_half': current_inning_half,
+                'title': current_inning_half.charAt(0).toUpperCase() + current_inning_half.slice(1) + ' ' + current_inning,
+                'start': ((new Date(playEvent.startTime) - broadcast_start_timestamp) / 1000) + skip_adjust,
+                'reveals_result': ((current_inning > scheduled_innings) || ((current_inning == scheduled_innings) && (current_inning_half == 'bottom')))
+              })
+              previous_inning = current_inning
+              previous_inning_half = current_inning_half
+            }
+            break
+          }
+        }
+      }
+
+      this.debuglog('getInningMarkers inning markers: ' + JSON.stringify(inning_markers))
+      this.temp_cache[gamePk].inning_markers = inning_markers
+      this.saveMarkers(gamePk, 'inning_markers', skip_adjust, inning_markers)
+
+      return inning_markers
+    } catch(e) {
+      this.log('getInningMarkers error : ' + e.message)
+    }
+  }
+
+  // Read skip profiles from file, dropping any with unusable names (they appear in URLs and page scripts) and any invalid values
+  loadSkipProfiles() {
+    let skip_profiles = {}
+    let loaded = this.readFileToJson(SKIP_PROFILES_FILE) || {}
+    for (const name in loaded) {
+      if ( !/^[A-Za-z0-9_-]+$/.test(name) ) {
+        this.log('skip profile ' + name + ' ignored : names may only use letters, numbers, - and _')
+        continue
+      }
+      if ( !loaded[name] || (typeof loaded[name] !== 'object') || Array.isArray(loaded[name]) ) {
+        this.log('skip profile ' + name + ' ignored : not an object')
+        continue
+      }
+      skip_profiles[name] = {}
+      for (const key in loaded[name]) {
+        let value = loaded[name][key]
+        if ( !(key in DEFAULT_SKIP_PROFILE) ) {
+          this.log('skip profile ' + name + ' setting ' + key + ' ignored : unknown setting')
+        } else if ( Array.isArray(DEFAULT_SKIP_PROFILE[key]) && !(Array.isArray(value) && value.every(item => typeof item === 'string')) ) {
+          this.log('skip profile ' + name + ' setting ' + key + ' ignored : must be a list of event names')
+        } else if ( !Array.isArray(DEFAULT_SKIP_PROFILE[key]) && !((typeof value === 'number') && isFinite(value)) ) {
+          this.log('skip profile ' + name + ' setting ' + key + ' ignored : must be a number of seconds')
+        } else {
+          skip_profiles[name][key] = value
+        }
+      }
+    }
+    return skip_profiles
+  }
+
+  // Names of the available skip profiles, default first
+  getSkipProfileNames() {
+    return ['default'].concat(Object.keys(this.skip_profiles).filter(name => name != 'default'))
+  }
+
+  // Get a skip profile by name, with any values it doesn't set taken from the default profile
+  getSkipProfile(name = 'default') {
+    if ( name && (name != 'default') && !this.skip_profiles[name] ) {
+      this.log('skip profile ' + name + ' not found, using default')
+      name = 'default'
+    }
+    return Object.assign({}, DEFAULT_SKIP_PROFILE, this.skip_profiles.default || {}, (name && this.skip_profiles[name]) || {})
+  }
+
+  // Convert a time relative to the broadcast start into a time in the stream after skip markers are removed
+  getSkippedTime(seconds, skip_markers = []) {
+    let skipped = 0
+    for (var i=0; i < skip_markers.length; i++) {
+      if (skip_markers[i].break_start >= seconds) break
+      skipped += Math.min(skip_markers[i].break_end, seconds) - skip_markers[i].break_start
+    }
+    return Math.max(seconds - skipped, 0)
+  }
+
+  // Get the time ranges (relative to the broadcast start) to keep for highlight skip types:
+  // 4 (scoring plays) keeps each event where a run scored
+  // 5 (key moments) also keeps home runs, strikeouts with runners in scoring position, and the final out
+  getHighlightRanges(cache_data, skip_type, start_inning, start_inning_half, broadcast_start_timestamp, skip_adjust, profile) {
+    let lead_padding = (skip_type == 4) ? profile.scoring_plays_lead_padding : profile.key_moments_lead_padding
+    let trail_padding = (skip_type == 4) ? profile.scoring_plays_trail_padding : profile.key_moments_trail_padding
+    let allPlays = cache_data.liveData.plays.allPlays
+    let game_final = (cache_data.gameData && cache_data.gameData.status && (cache_data.gameData.status.abstractGameState == 'Final'))
+
+    let keep_ranges = []
+    for (var i=0; i < allPlays.length; i++) {
+      let current_inning = allPlays[i].about.inning
+      let current_inning_half = allPlays[i].about.halfInning
+      if ((current_inning < start_inning) || ((current_inning == start_inning) && (current_inning_half != start_inning_half) && (current_inning_half != 'bottom'))) continue
+
+      // indexes of the play events to keep, defaulting to the last event of the at-bat
+      let event_indexes = []
+      let last_index = allPlays[i].playEvents.length - 1
+      if (allPlays[i].runners) {
+        for (var j=0; j < allPlays[i].runners.length; j++) {
+          let runner = allPlays[i].runners[j]
+          if (runner.details && runner.details.isScoringEvent && (typeof runner.details.playIndex !== 'undefined')) {
+            event_indexes.push(runner.details.playIndex)
+          }
+        }
+      }
+      if (skip_type == 5) {
+        let eventType = (allPlays[i].result && allPlays[i].result.eventType) || ''
+        let menOnBase = allPlays[i].matchup && allPlays[i].matchup.splits && allPlays[i].matchup.splits.menOnBase
+        if ( (eventType == 'home_run') || (eventType.startsWith('strikeout') && ((menOnBase == 'RISP') || (menOnBase == 'Loaded'))) || (game_final && (i == (allPlays.length - 1))) ) {
+          event_indexes.push(last_index)
+        }
+      }
+
+      for (var j=0; j < event_indexes.length; j++) {
+        let playEvent = allPlays[i].playEvents[event_indexes[j]]
+        if (!playEvent || !playEvent.startTime) continue
+        let endTime = playEvent.endTime || allPlays[i].about.endTime || playEvent.startTime
+        keep_ranges.push({
+          'start': ((new Date(playEvent.startTime) - broadcast_start_timestamp) / 1000) - lead_padding + skip_adjust,
+          'end': ((new Date(endTime) - broadcast_start_timestamp) / 1000) + trail_padding + skip_adjust
+        })
+      }
+    }
+
+    return keep_ranges
+  }
+
+  // Get the time ranges (relative to the broadcast start) to keep for a player's plate appearances, as batter or pitcher
+  getPlayerRanges(cache_data, player, start_inning, start_inning_half, broadcast_start_timestamp, skip_adjust, profile) {
+    let allPlays = cache_data.liveData.plays.allPlays
+
+    let keep_ranges = []
+    for (var i=0; i < allPlays.length; i++) {
+      let current_inning = allPlays[i].about.inning
+      let current_inning_half = allPlays[i].about.halfInning
+      if ((current_inning < start_inning) || ((current_inning == start_inning) && (current_inning_half != start_inning_half) && (current_inning_half != 'bottom'))) continue
+
+      let matchup = allPlays[i].matchup
+      if (!matchup || !((matchup.batter && (matchup.batter.id == player)) || (matchup.pitcher && (matchup.pitcher.id == player)))) continue
+
+      // the plate appearance runs from its first event that isn't a break type to the end of its last event
+      let start_event
+      let end_event
+      for (var j=0; j < allPlays[i].playEvents.length; j++) {
+        let playEvent = allPlays[i].playEvents[j]
+        if (playEvent.details && playEvent.details.event && profile.break_types.includes(playEvent.details.event)) continue
+        if (!playEvent.startTime) continue
+        if (!start_event) start_event = playEvent
+        end_event = playEvent
+      }
+      if (!start_event) continue
+
+      let endTime = end_event.endTime || allPlays[i].about.endTime || end_event.startTime
+      keep_ranges.push({
+        'start': ((new Date(start_event.startTime) - broadcast_start_timestamp) / 1000) - profile.player_lead_padding + skip_adjust,
+        'end': ((new Date(endTime) - broadcast_start_timestamp) / 1000) + profile.player_trail_padding + skip_adjust
+      })
+    }
+
+    return keep_ranges
+  }
+
+  // Convert time ranges to keep into skip markers for the gaps between them (ignoring gaps shorter than the minimum)
+  // and after the last one, if nothing else will be added
+  getKeepRangeMarkers(keep_ranges, minimum_break_duration = 0, skip_to_end = false) {
+    keep_ranges.sort(function(a, b) {
+      return a.start - b.start
+    })
+
+    let skip_markers = []
+    let break_start = 0
+    for (var i=0; i < keep_ranges.length; i++) {
+      if ((keep_ranges[i].start - break_start) > Math.max(minimum_break_duration, 0)) {
+        skip_markers.push({'break_start': break_start, 'break_end': keep_ranges[i].start})
+      }
+      break_start = Math.max(break_start, keep_ranges[i].end)
+    }
+    if ( skip_to_end && (keep_ranges.length > 0) ) {
+      skip_markers.push({'break_start': break_start, 'break_end': Math.max(break_start, MAXIMUM_BROADCAST_DURATION)})
+    }
+
+    return skip_markers
+  }
+
   // Get skip markers into temporary cache
-  async getSkipMarkers(gamePk, skip_type, start_inning, start_inning_half, skip_adjust) {
+  async getSkipMarkers(gamePk, skip_type, start_inning, start_inning_half, skip_adjust, skip_profile = 'default', player = false) {
     try {
       this.debuglog('getSkipMarkers')
 
@@ -1190,18 +2682,51 @@ class sessionClass {
         start_inning_half = 'top'
       }
 
+      // markers depend on the profile's values, not just its name
+      let profile = this.getSkipProfile(skip_profile)
+      this.debuglog('getSkipMarkers using skip profile ' + JSON.stringify(profile))
+      let profile_hash = crypto.createHash('sha1').update(JSON.stringify(profile)).digest('hex').substring(0, 8)
+
+      let markers_key = [skip_type, start_inning, start_inning_half, skip_adjust, profile_hash].join('.')
+      if ( player ) markers_key += '.player' + player
+      let saved_markers = this.getSavedMarkers(gamePk, 'skip_markers', markers_key)
+      if ( saved_markers ) {
+        this.debuglog('using cached skip markers')
+        this.temp_cache[gamePk].skip_markers = saved_markers.skip_markers
+        this.temp_cache[gamePk].total_skip_time = saved_markers.total_skip_time
+        return true
+      }
+
+      // calculate total skip time
+      let total_skip_time = 0
+
       let cache_data = await this.getGamedayData(gamePk)
 
       // make sure we have play data
-      if (cache_data && cache_data.liveData && cache_data.liveData.plays && cache_data.liveData.plays.allPlays) {
+      if (player && cache_data && cache_data.liveData && cache_data.liveData.plays && cache_data.liveData.plays.allPlays) {
+        // following a player keeps only their plate appearances, as batter or pitcher
+        let keep_ranges = this.getPlayerRanges(cache_data, player, start_inning, start_inning_half, broadcast_start_timestamp, skip_adjust, profile)
+        skip_markers = this.getKeepRangeMarkers(keep_ranges, profile.minimum_break_duration, (cache_data.gameData && cache_data.gameData.status && (cache_data.gameData.status.abstractGameState == 'Final')))
+        for (var i=0; i < skip_markers.length; i++) {
+          // don't count the rest of the broadcast after the last plate appearance
+          if (skip_markers[i].break_end < MAXIMUM_BROADCAST_DURATION) total_skip_time += skip_markers[i].break_end - skip_markers[i].break_start
+        }
+        this.debuglog('getSkipMarkers found ' + keep_ranges.length + ' plate appearances for player ' + player + ', ' + new Date(total_skip_time * 1000).toISOString().substr(11, 8) + ' total skip time')
+      } else if ((skip_type >= 4) && cache_data && cache_data.liveData && cache_data.liveData.plays && cache_data.liveData.plays.allPlays) {
+        // skip types 4 (scoring plays) and 5 (key moments) keep only the selected plays
+        let keep_ranges = this.getHighlightRanges(cache_data, skip_type, start_inning, start_inning_half, broadcast_start_timestamp, skip_adjust, profile)
+        skip_markers = this.getKeepRangeMarkers(keep_ranges, 0, (cache_data.gameData && cache_data.gameData.status && (cache_data.gameData.status.abstractGameState == 'Final')))
+        for (var i=0; i < skip_markers.length; i++) {
+          // don't count the rest of the broadcast after the last highlight
+          if (skip_markers[i].break_end < MAXIMUM_BROADCAST_DURATION) total_skip_time += skip_markers[i].break_end - skip_markers[i].break_start
+        }
+        this.debuglog('getSkipMarkers found ' + keep_ranges.length + ' highlights, ' + new Date(total_skip_time * 1000).toISOString().substr(11, 8) + ' total skip time')
+      } else if (cache_data && cache_data.liveData && cache_data.liveData.plays && cache_data.liveData.plays.allPlays) {
 
         // keep track of inning, if skipping inning breaks only
         let previous_inning = 0
         let previous_inning_half = ''
 
-        // calculate total skip time (for fun)
-        let total_skip_time = 0
-
         // Loop through all plays
         for (var i=0; i < cache_data.liveData.plays.allPlays.length; i++) {
 
@@ -1232,10 +2757,10 @@ class sessionClass {
             // loop through events within each play
             for (var j=0; j < cache_data.liveData.plays.allPlays[i].playEvents.length; j++) {
               // always exclude break types
-              if (cache_data.liveData.plays.allPlays[i].playEvents[j].details && cache_data.liveData.plays.allPlays[i].playEvents[j].details.event && BREAK_TYPES.includes(cache_data.liveData.plays.allPlays[i].playEvents[j].details.event)) {
+              if (cache_data.liveData.plays.allPlays[i].playEvents[j].details && cache_data.liveData.plays.allPlays[i].playEvents[j].details.event && profile.break_types.includes(cache_data.liveData.plays.allPlays[i].playEvents[j].details.event)) {
                 // if we're in the process of skipping inning breaks, treat the first break type we find as another inning break
                 if ((skip_type == 1) && (previous_inning > 0)) {
-                  break_start = ((new Date(cache_data.liveData.plays.allPlays[i].playEvents[j].startTime) - broadcast_start_timestamp) / 1000) + EVENT_END_PADDING + skip_adjust
+                  break_start = ((new Date(cache_data.liveData.plays.allPlays[i].playEvents[j].startTime) - broadcast_start_timestamp) / 1000) + profile.event_end_padding + skip_adjust
                   previous_inning = 0
                 }
                 continue
@@ -1246,7 +2771,7 @@ class sessionClass {
                   action_index = j
                 } else if (skip_type == 3) {
                   // skip type 3 excludes non-action pitches (events that aren't last in the at-bat and don't fall under action types)
-                  if ( (j < (cache_data.liveData.plays.allPlays[i].playEvents.length - 1)) && (!cache_data.liveData.plays.allPlays[i].playEvents[j].details || !cache_data.liveData.plays.allPlays[i].playEvents[j].details.event || !ACTION_TYPES.some(v => cache_data.liveData.plays.allPlays[i].playEvents[j].details.event.includes(v))) ) {
+                  if ( (j < (cache_data.liveData.plays.allPlays[i].playEvents.length - 1)) && (!cache_data.liveData.plays.allPlays[i].playEvents[j].details || !cache_data.liveData.plays.allPlays[i].playEvents[j].details.event || !profile.action_types.some(v => cache_data.liveData.plays.allPlays[i].playEvents[j].details.event.includes(v))) ) {
                     continue
                   } else {
                     // if the action is associated with another play or the event doesn't have an end time, use the previous event instead
@@ -1260,12 +2785,12 @@ class sessionClass {
                 if (typeof action_index === 'undefined') {
                   continue
                 } else {
-                  let break_end = ((new Date(cache_data.liveData.plays.allPlays[i].playEvents[action_index].startTime) - broadcast_start_timestamp) / 1000) + EVENT_START_PADDING + skip_adjust
+                  let break_end = ((new Date(cache_data.liveData.plays.allPlays[i].playEvents[action_index].startTime) - broadcast_start_timestamp) / 1000) + profile.event_start_padding + skip_adjust
                   // if the break duration should be greater than than our specified minimum
                   // and if skip type is not 1 (inning breaks) or the inning has changed
                   // then we'll add the skip marker
                   // otherwise we'll ignore it and move on to the next one
-                  if ( ((break_end - break_start) >= MINIMUM_BREAK_DURATION) && ((skip_type != 1) || (current_inning != previous_inning) || (current_inning_half != previous_inning_half)) ) {
+                  if ( ((break_end - break_start) >= profile.minimum_break_duration) && ((skip_type != 1) || (current_inning != previous_inning) || (current_inning_half != previous_inning_half)) ) {
                     skip_markers.push({'break_start': break_start, 'break_end': break_end})
                     total_skip_time += break_end - break_start
                     previous_inning = current_inning
@@ -1275,10 +2800,10 @@ class sessionClass {
                       break
                     }
                   }
-                  break_start = ((new Date(cache_data.liveData.plays.allPlays[i].playEvents[action_index].endTime) - broadcast_start_timestamp) / 1000) + EVENT_END_PADDING + skip_adjust
+                  break_start = ((new Date(cache_data.liveData.plays.allPlays[i].playEvents[action_index].endTime) - broadcast_start_timestamp) / 1000) + profile.event_end_padding + skip_adjust
                   // add extra padding for overturned review plays
                   if (cache_data.liveData.plays.allPlays[i].reviewDetails && (cache_data.liveData.plays.allPlays[i].reviewDetails.isOverturned == true)) {
-                    break_start += 40
+                    break_start += profile.review_padding
                   }
                 }
               }
@@ -1291,6 +2816,8 @@ class sessionClass {
 
       this.debuglog('getSkipMarkers skip markers: ' + JSON.stringify(skip_markers))
       this.temp_cache[gamePk].skip_markers = skip_markers
+      this.temp_cache[gamePk].total_skip_time = total_skip_time
+      this.saveMarkers(gamePk, 'skip_markers', markers_key, { skip_markers: skip_markers, total_skip_time: total_skip_time })
 
       return true
     } catch(e) {
@@ -1300,4 +2827,9 @@ class sessionClass {
 
 }
 
-module.exports = sessionClass
\ No newline at end of file
+module.exports = sessionClass
+module.exports.UpstreamError = UpstreamError
+module.exports.UpstreamAuthError = UpstreamAuthError
+module.exports.UpstreamNotFoundError = UpstreamNotFoundError
+module.exports.UpstreamTimeoutError = UpstreamTimeoutError
+module.exports.UpstreamServerError = UpstreamServerError
\ No newline at end of file